@@ -1,14 +1,29 @@
-import { applyAngleCulling } from './src/labelCulling.js';
 import { setupFocusInfo } from './src/searchFocus.js';
-import { normalizeRows, pathsToTree, addMissingSynonyms } from './src/data.js';
 import { createPopup } from './src/popup.js';
 import { highlightPath } from './src/highlight.js';
-import { enrichTreeWithPaths, reorderTreeForGrouping, computeLeafOrder } from './src/grouping.js';
+import { reorderTreeForGrouping } from './src/grouping.js';
 import { setupSearch } from './src/search.js';
-import { initSynonyms, getSynonymInfo, isSynonymsReady } from './src/synonyms.js';
+import { initSynonyms } from './src/synonyms.js';
+import { buildTree } from './src/treeWorkerClient.js';
 import { setHighlightedPath, clearHighlightedPath } from './src/viewSwitch.js';
+import { setCurrentTree } from './src/currentTree.js';
+import { updateUrlState } from './src/urlState.js';
+import { DIFF_STATUSES, DIFF_COLORS } from './src/diff.js';
+import { setupCollapse } from './src/collapse.js';
+import { createLayout, getLayoutName } from './src/layouts.js';
+import { setupCanvasRenderer, createLinkOverlay, getRendererName, shouldUseCanvas } from './src/canvasRenderer.js';
+import { setupTreeKeyboard } from './src/treeKeyboard.js';
+import { setupOutline } from './src/outline.js';
+import { recordPickedNode } from './src/searchHistory.js';
+import { inferTreeRanks } from './src/ranks.js';
+import { getRankGuides, alignLayoutByRank, drawRankRings } from './src/rankGuides.js';
+import { getGrouping, collectGroups, drawGroupWedges, setupGroupLegend, groupOpacity } from './src/groupWedges.js';
+import { getEncodings, createEncoding, numericFieldNames, setEncodingFields, showEncodingLegend } from './src/encodings.js';
+import { getSynonymFilter, getSynonymMode, matchesSynonymFilter, synonymRecordOf, synonymTypeColor } from './src/synonymFilter.js';
 // Data helpers now imported from ./src/data.js
 
+let renderCount = 0; // Identifies the latest renderMammalTree call
+
 /**
  * Render a radial dendrogram from Neotoma mammal paths.
  * Usage:
@@ -20,6 +35,8 @@ import { setHighlightedPath, clearHighlightedPath } from './src/viewSwitch.js';
  *     size: 900,                    // svg width/height
  *     margin: 40                    // extra padding
  *   });
+ * Resolves to a tree controller (also available via getCurrentTree()):
+ *   { root, svg, link, node, info, layout, renderer, collapse, getRotation, setRotation, getTransform, setTransform, search, pick, focusById }
  */
 async function renderMammalTree({
   rows,
@@ -29,90 +46,39 @@ async function renderMammalTree({
   rootName = 'Mammalia',
   size = 900,
   margin = 40,
-  groupDepth = 2,  // Depth for grouping (0=root, 3=typically family level)
+  groupDepth = getGrouping().depth,  // Depth for grouping (0=root, 3=typically family level)
+  groupBy = getGrouping().by,  // 'auto' | 'depth' | a rank such as 'order' (see src/grouping.js)
+  groupWedges = getGrouping().wedges,  // Background wedge per group, radial layout only (see src/groupWedges.js)
   groupPadding = 0.1,  // Extra angle (in radians) between groups (~5.7 degrees)
   siblingSeparation = 0.3,  // Minimum angle between siblings (in radians)
   isInitialView = false,  // Whether this is the initial 4-level view
   rootNodes = null,  // For initial view, the root nodes structure
+  layout = getLayoutName(),  // 'radial' | 'tidy' | 'icicle' | 'sunburst' | 'pack' (see src/layouts.js)
+  diffStatus = null,  // Optional Map(taxon id -> 'added' | 'removed' | 'moved' | 'renamed') from diffSnapshots
+  renderer = getRendererName(),  // 'auto' | 'svg' | 'canvas' (see src/canvasRenderer.js)
+  synonymFilter = getSynonymFilter(),  // { types, from, to } synonyms to show (see src/synonymFilter.js)
+  synonymMode = getSynonymMode(),  // 'separate' | 'merged' | 'hidden' synonym display (see src/synonymFilter.js)
+  encodings = getEncodings(),  // { color, size, categorical, continuous } color-by / size-by (see src/encodings.js)
+  rankGuides = getRankGuides(),  // { rings, align } rank rings and alignment, radial layout only (see src/rankGuides.js)
 } = {}) {
   if (!rows || !rows.length) {
     console.warn('renderMammalTree: rows is empty.');
     return;
   }
+  const renderId = ++renderCount;
   
   // Initialize synonym data for search functionality
   await initSynonyms();
 
-  // 1) Build hierarchy from path-list
-  const normalizedRows = normalizeRows(rows);
-  
-  // For initial view with rootNodes, build tree from rootNodes structure
-  let treeData, byId;
-  if (isInitialView && rootNodes) {
-    // Build tree from rootNodes structure
-    const root = { id: rootId, name: rootName, children: [] };
-    byId = new Map([[root.id, root]]);
-    
-    function addNodeToTree(parent, nodeData) {
-      let child = byId.get(nodeData.id);
-      if (!child) {
-        child = {
-          id: nodeData.id,
-          name: nodeData.name,
-          taxagroupid: nodeData.taxagroupid,
-          children: []
-        };
-        byId.set(nodeData.id, child);
-        if (!parent.children) parent.children = [];
-        parent.children.push(child);
-      }
-      
-      if (nodeData.children && nodeData.children.length > 0) {
-        nodeData.children.forEach(childData => {
-          addNodeToTree(child, childData);
-        });
-      }
-    }
-    
-    rootNodes.forEach(rootNode => {
-      addNodeToTree(root, rootNode);
-    });
-    
-    // Prune empty children
-    (function prune(n) {
-      if (n.children && n.children.length) {
-        n.children.forEach(prune);
-      } else {
-        delete n.children;
-      }
-    })(root);
-    
-    treeData = root;
-  } else {
-    const result = pathsToTree(normalizedRows, rootId, rootName);
-    treeData = result.root;
-    byId = result.byId;
-  }
-  
-  // 1.5) Add missing synonyms to the tree
-  const synonymManager = {
-    isReady: () => isSynonymsReady(),
-    getSynonymInfo: (id) => getSynonymInfo(id)
-  };
-  // Use allRowsForSynonyms if provided, otherwise use rows
-  const rowsForSynonymLookup = allRowsForSynonyms || rows;
-  addMissingSynonyms(treeData, byId, synonymManager, rowsForSynonymLookup);
-  
-  // Enrich tree with path information for grouping
-  enrichTreeWithPaths(treeData, normalizedRows);
-  
+  // 1) Build hierarchy from path-list (in the tree worker, with synonyms and path info)
+  const { treeData } = await buildTree({ rows, allRowsForSynonyms, rootId, rootName, isInitialView, rootNodes, synonymFilter, synonymMode });
+  // A newer render started while this tree was being built
+  if (renderId !== renderCount) return;
+
   const root = d3.hierarchy(treeData);
 
-  // 1.5) Reorder tree to group leaves by family
-  reorderTreeForGrouping(root, groupDepth);
-  
-  // Compute leaf order and store groupKey on each node
-  const { leafToIndex, leafGroups } = computeLeafOrder(root, groupDepth);
+  // 1.5) Reorder tree to group leaves by family (returns the leaf order with each leaf's groupKey)
+  const { leafToIndex, leafGroups } = reorderTreeForGrouping(root, groupDepth, groupBy);
   
   // Store groupKey on each leaf node for easy access
   leafGroups.forEach((item) => {
@@ -138,8 +104,6 @@ async function renderMammalTree({
   });
 
   // 2) Layout with custom separation
-  const radius = (size / 2) - margin;
-  
   // Custom separation function: smaller angle within groups, larger between groups
   // Note: d3.cluster.separation receives two adjacent sibling nodes
   function customSeparation(a, b) {
@@ -161,9 +125,16 @@ async function renderMammalTree({
     }
   }
   
-  d3.cluster()
-    .size([2 * Math.PI, radius])
-    .separation(customSeparation)(root);
+  const view = createLayout(layout, { size, margin, separation: customSeparation });
+  // Rank guides (radial only): ranks for the rings (5.5) and for placing nodes by rank instead of depth
+  const ranks = view.name === 'radial' && (rankGuides.rings || rankGuides.align) ? inferTreeRanks(root) : null;
+  if (ranks && rankGuides.align) view.layout = alignLayoutByRank(view.layout, ranks, size / 2 - margin);
+  view.layout(root);
+  // Large dendrograms draw links and node dots on a canvas (they get no SVG elements);
+  // the SVG keeps labels and highlights
+  const useCanvas = shouldUseCanvas(renderer, view, root.descendants().length);
+  let canvas = null; // Set up once the SVG elements exist
+  let keyboard = null; // Likewise (keyboard navigation, see src/treeKeyboard.js)
 
   // 3) SVG scaffold
   const svg = d3.select(selector).append('svg')
@@ -184,102 +155,296 @@ async function renderMammalTree({
   function updateViewport() {
     gViewport.attr('transform', `translate(${currentTranslateX},${currentTranslateY}) scale(${currentScale})`);
     if (zoomValueEl) zoomValueEl.textContent = `${currentScale.toFixed(1)}\u00D7`;
+    if (canvas) canvas.requestFrame();
   }
   function updateRotate() {
     gRoot.attr('transform', `rotate(${currentRotate})`);
+    if (canvas) canvas.requestFrame();
   }
 
-  // 4) Links
-  const linkGen = d3.linkRadial()
-    .angle(d => d.x)
-    .radius(d => d.y);
-
-  const link = gRoot.append('g')
+  // 4) Links (space-filling layouts and canvas mode have none; the selection stays empty)
+  const linkGroup = gRoot.append('g')
+    .attr('class', 'tree-links')
     .attr('fill', 'none')
     .attr('stroke', '#9aa0a6')
-    .attr('stroke-opacity', 0.8)
+    .attr('stroke-opacity', 0.8);
+  const link = linkGroup
     .selectAll('path')
-    .data(root.links())
+    .data(view.dendrogram && !useCanvas ? root.links() : [])
     .join('path')
-    .attr('d', linkGen);
+    .attr('d', view.linkGen);
 
   // Click on a link: treat as focusing its target node
   let linkClickTimer = null;
   link.style('cursor', 'pointer')
     .on('click', (event, d) => {
       clearTimeout(linkClickTimer);
-      linkClickTimer = setTimeout(() => {
-        const t = d.target;
-        highlightPath(link, node, t);
-        setHighlightedPath(t);
-        if (typeof info !== 'undefined' && info) info.show(t);
-      }, 220);
+      linkClickTimer = setTimeout(() => pickNode(d.target), 220);
     });
 
   // 5) Nodes
   const node = gRoot.append('g')
+    .attr('class', 'tree-nodes')
     .selectAll('g')
     .data(root.descendants())
     .join('g')
-    .attr('transform', d => `rotate(${(d.x * 180 / Math.PI - 90)}) translate(${d.y},0)`);
+    .attr('transform', d => view.nodeTransform(d.x, d.y));
 
-  node.append('circle')
-    .attr('r', 2.2)
-    .attr('fill', '#202124');
+  if (!view.dendrogram) {
+    view.drawCells(node, root);
+  } else if (!useCanvas) {
+    node.append('circle')
+      .attr('r', 2.2)
+      .attr('fill', '#202124');
+  }
 
   node.append('text')
     .attr('dy', '0.32em')
     .text(d => d.data.name);
 
+  // Snapshot comparison: color links and nodes by change status (styles in index.css)
+  if (diffStatus) {
+    DIFF_STATUSES.forEach(status => {
+      link.classed(`diff-${status}`, l => diffStatus.get(l.target.data.id) === status);
+      node.classed(`diff-${status}`, d => diffStatus.get(d.data.id) === status);
+    });
+  }
+
+  // Synonym nodes and the links to them: colored by synonym type; invalid taxa of the data
+  // outside the synonym filter are dimmed (added synonyms outside it were never added)
+  const synonymColors = new Map(); // node -> color
+  const filteredSynonyms = new Set();
+  root.each(d => {
+    const record = synonymRecordOf(d);
+    if (!record) return;
+    if (matchesSynonymFilter(record, synonymFilter)) synonymColors.set(d, synonymTypeColor(record.synonymtypeid));
+    else filteredSynonyms.add(d);
+  });
+  const synonymColor = d => synonymColors.get(d) || null;
+  node.filter(d => synonymColors.has(d)).classed('synonym-node', true)
+    .style('--synonym-color', synonymColor);
+  node.classed('synonym-filtered', d => filteredSynonyms.has(d));
+  link.filter(l => synonymColors.has(l.target)).classed('synonym-link', true)
+    .style('--synonym-color', l => synonymColor(l.target));
+
+  // Merged synonyms: a count badge on the valid node, listing the synonyms on hover
+  // (space-filling layouts have no room for a badge: the cell itself lists them)
+  const merged = node.filter(d => d.data.mergedSynonyms && d.data.mergedSynonyms.length);
+  const mergedTitle = d => `${d.data.name}: ${d.data.mergedSynonyms.length} synonym${d.data.mergedSynonyms.length === 1 ? '' : 's'}\n`
+    + d.data.mergedSynonyms.map(syn => `${syn.name} (${syn.id})${syn.synonymtype ? ` – ${syn.synonymtype}` : ''}`).join('\n');
+  if (view.dendrogram) {
+    const badge = merged.append('g')
+      .attr('class', 'synonym-badge')
+      .attr('transform', 'translate(0,-7)');
+    badge.append('circle')
+      .attr('r', 5.5)
+      .attr('fill', d => synonymTypeColor(d.data.mergedSynonyms[0].synonymtypeid));
+    badge.append('text')
+      .attr('dy', '0.32em')
+      .attr('text-anchor', 'middle')
+      .text(d => d.data.mergedSynonyms.length);
+    badge.append('title').text(mergedTitle);
+  } else {
+    merged.append('title').text(mergedTitle);
+  }
+
+  // Color-by and size-by encodings (snapshot comparison colors still win)
+  const encoding = createEncoding(root, encodings);
+  setEncodingFields(numericFieldNames(root));
+  showEncodingLegend(encoding);
+  const diffed = d => Boolean(diffStatus && diffStatus.get(d.data.id));
+  if (!view.dendrogram) {
+    node.select('.cell').style('fill', d => (diffed(d) ? null : encoding.nodeColor(d)));
+  } else if (!useCanvas) {
+    node.select('circle')
+      .attr('r', encoding.nodeRadius)
+      .style('fill', d => (diffed(d) ? null : encoding.nodeColor(d)));
+  }
+  link
+    .style('stroke', l => (diffed(l.target) ? null : encoding.linkColor(l)))
+    .each(function (l) {
+      // --link-width lets a highlight (index.css) keep the link at least this wide
+      const width = encoding.linkWidth(l);
+      const px = width === null ? null : `${width}px`;
+      d3.select(this).style('stroke-width', px).style('--link-width', px);
+    });
+
+  // Collapsible clades (dendrogram layouts): collapsed nodes are laid out and labelled like leaves
+  let rankRings = null; // Set up below, moved on every re-layout
+  let wedges = null; // Likewise
+  let linkOverlay = null; // Likewise (highlighted links in canvas mode)
+  const collapse = view.dendrogram ? setupCollapse({
+    root,
+    link,
+    node,
+    layout: view.layout,
+    linkGen: view.linkGen,
+    nodeTransform: view.nodeTransform,
+    animate: !useCanvas,
+    handles: !useCanvas,
+    onLayout: () => {
+      cull.refresh();
+      updateLabelOrientation();
+      if (keyboard) keyboard.refresh();
+      if (linkOverlay) linkOverlay.update();
+      if (rankRings) rankRings.update();
+      if (wedges) wedges.update();
+      if (canvas) {
+        canvas.rebuildIndex();
+        canvas.requestFrame();
+      }
+    }
+  }) : null;
+
+  // Canvas mode: highlighted links still get SVG paths, marked like the link selection
+  if (useCanvas) {
+    linkOverlay = createLinkOverlay(linkGroup, root.links(), { linkGen: view.linkGen, isHidden: collapse.isHidden });
+  }
+  const linkMarks = linkOverlay || link;
+
+  // 5.5) Rank rings behind the tree, unrotated so their labels stay on top
+  if (ranks && rankGuides.rings) {
+    rankRings = drawRankRings(gViewport, root, ranks, { isHidden: collapse ? collapse.isHidden : undefined });
+  }
+
+  // 5.6) Leaf groups: wedges behind the radial tree, and the legend
+  const groups = collectGroups(root);
+  if (groupWedges && view.name === 'radial') {
+    wedges = drawGroupWedges(gRoot, groups, { radius: size / 2 - margin, isHidden: collapse ? collapse.isHidden : undefined });
+  }
+  let groupFocus = null; // Group picked in the legend, for the canvas (SVG elements get classes)
+  setupGroupLegend({
+    groups, svg, node, link, wedges,
+    onChange: focus => {
+      groupFocus = focus;
+      if (canvas) canvas.requestFrame();
+    }
+  });
+
   // Recompute text orientation after rotation so labels don't appear upside-down
+  // (on canvas only the labels left visible by culling, which is where large trees spend their time)
+  const nodeElements = new Map();
+  node.each(function (d) { nodeElements.set(d, this); });
   function updateLabelOrientation() {
-    const rotRad = (currentRotate * Math.PI) / 180;
-    const tau = Math.PI * 2;
-    function outward(d) { return ((d.x + rotRad) % tau + tau) % tau < Math.PI; }
-    node.select('text')
-      .attr('x', d => (outward(d) === !d.children ? 6 : -6))
-      .attr('text-anchor', d => (outward(d) === !d.children ? 'start' : 'end'))
-      .attr('transform', d => outward(d) ? null : 'rotate(180)');
+    const labelled = useCanvas ? d3.selectAll([...cull.visible].map(d => nodeElements.get(d))) : node;
+    view.orientLabels(labelled, {
+      rotation: currentRotate,
+      isLayoutLeaf: collapse ? collapse.isLayoutLeaf : d => !d.children,
+      labelOffset: collapse ? collapse.labelOffset : () => 6
+    });
+    if (wedges) wedges.orient(currentRotate);
+    // Badge counts turn with the label so they read the same way up
+    merged.select('.synonym-badge text').attr('transform', function () {
+      return this.parentNode.parentNode.querySelector('text').getAttribute('transform');
+    });
   }
   
+  // Label culling (avoid overlap at initial scale)
+  const cull = view.createCulling(root, node, collapse ? collapse.layoutLeaves : () => root.leaves());
+
   // Initialize label orientation correctly
   updateLabelOrientation();
-
-  // Angle-based label culling (avoid overlap at initial scale)
-  const cull = applyAngleCulling(root, node, 0.9);
-  const info = setupFocusInfo(node, () => currentRotate);
+  const info = setupFocusInfo(node, () => currentRotate, view.focusLabel);
   const { showAt: showPopupAt } = createPopup('popup');
 
   // 6) Click/Double-click interactions
 
+  // Highlight a node's path and show it in the info panel
+  function selectNode(d) {
+    highlightPath(linkMarks, node, d);
+    setHighlightedPath(d);
+    if (info) info.show(d);
+    if (keyboard) keyboard.setActive(d);
+  }
+
+  // A node the user chose (click, keyboard, outline): selected and kept as a recent taxon
+  function pickNode(d) {
+    selectNode(d);
+    recordPickedNode(d);
+  }
+
+  // Open the subtree rooted at a node as its own tree
+  function drillDown(d) {
+    if (!window.navigateToNode) return;
+    const nodeData = d.data;
+    const taxagroupid = nodeData.taxagroupid || 'MAM';
+    window.navigateToNode(nodeData.id, nodeData.name, taxagroupid);
+  }
+
   let clickTimer = null;
-  node.style('cursor', 'pointer')
-    .on('click', (event, d) => {
-      // delay to distinguish from dblclick
-      clearTimeout(clickTimer);
-      clickTimer = setTimeout(() => {
-        highlightPath(link, node, d);
-        setHighlightedPath(d);
-        if (info) info.show(d);
-        // Navigation is now only available via the "Go to Tree" button in the info panel
-      }, 220);
-    })
-    .on('dblclick', (event, d) => {
-      clearTimeout(clickTimer);
-      
-      // If double-clicking a node with children, navigate to it
-      if (d.children && d.children.length > 0 && window.navigateToNode) {
-        const nodeData = d.data;
-        const taxagroupid = nodeData.taxagroupid || 'MAM';
-        window.navigateToNode(nodeData.id, nodeData.name, taxagroupid);
+  function clickNode(d, onToggle) {
+    // delay to distinguish from dblclick
+    clearTimeout(clickTimer);
+    clickTimer = setTimeout(() => {
+      // The circle (or wedge) of an internal node folds/unfolds its clade
+      if (onToggle) {
+        collapse.toggle(d);
         return;
       }
-      
-      // Build a path string to show (root -> node names)
-      const names = d.ancestors().reverse().map(a => a.data.name).join(' / ');
-      // Show popup with empty info section for now
-      showPopupAt(event.pageX, event.pageY, d.data.name, '');
+      pickNode(d);
+      // Navigation is now only available via the "Go to Tree" button in the info panel
+    }, 220);
+  }
+
+  function dblclickNode(event, d) {
+    clearTimeout(clickTimer);
+    
+    // If double-clicking a node with children, navigate to it
+    if (d.children && d.children.length > 0 && window.navigateToNode) {
+      drillDown(d);
+      return;
+    }
+    
+    // Build a path string to show (root -> node names)
+    const names = d.ancestors().reverse().map(a => a.data.name).join(' / ');
+    // Show popup with empty info section for now
+    showPopupAt(event.pageX, event.pageY, d.data.name, '');
+  }
+
+  node.style('cursor', 'pointer')
+    .on('click', (event, d) => clickNode(d, collapse && event.target.closest('.collapse-handle, .collapse-wedge')))
+    .on('dblclick', dblclickNode);
+
+  // Keyboard: arrow keys move between nodes, Enter selects, Shift+Enter drills down
+  keyboard = setupTreeKeyboard({ svg, root, node, collapse, onSelect: pickNode, onDrillDown: drillDown });
+
+  // Canvas mode: links and dots are not SVG elements, so clicks on the background are
+  // hit-tested against the canvas quadtree. A dot behaves like the node's circle
+  // (toggling internal nodes), a link selects its target.
+  if (useCanvas) {
+    canvas = setupCanvasRenderer({
+      container: d3.select(selector),
+      svg,
+      gRoot,
+      size,
+      root,
+      view,
+      getTransform: () => ({ k: currentScale, x: currentTranslateX, y: currentTranslateY }),
+      getRotation: () => currentRotate,
+      isHidden: collapse.isHidden,
+      nodeColor: d => (diffStatus && DIFF_COLORS[diffStatus.get(d.data.id)]) || encoding.nodeColor(d) || synonymColor(d),
+      linkColor: l => (diffStatus && DIFF_COLORS[diffStatus.get(l.target.data.id)]) || encoding.linkColor(l) || synonymColor(l.target),
+      nodeRadius: encoding.nodeRadius,
+      linkWidth: encoding.linkWidth,
+      opacity: d => groupOpacity(groupFocus, d)
     });
+    // Highlighted link paths are left to the hit test, like the links drawn on canvas
+    const canvasHit = event => (event.target.closest('.tree-nodes > g') ? null : canvas.find(event));
+    svg
+      .on('mousemove.canvas', (event) => svg.style('cursor', canvasHit(event) ? 'pointer' : null))
+      .on('click.canvas', (event) => {
+        const hit = canvasHit(event);
+        if (!hit) return;
+        if (hit.link) clickNode(hit.link.target, false);
+        else clickNode(hit.node, !!(hit.node.parent && hit.node.children));
+      })
+      .on('dblclick.canvas', (event) => {
+        const hit = canvasHit(event);
+        if (hit) dblclickNode(event, hit.link ? hit.link.target : hit.node);
+      });
+  } else {
+    d3.select('#frameStats').text('');
+  }
 
   // 7) Rotation UI hookup (optional)
   const rotateInput = document.getElementById('rotate');
@@ -287,48 +452,124 @@ async function renderMammalTree({
   function applyRotation(deg) {
     currentRotate = deg;
     updateRotate();
-    updateLabelOrientation();
+    if (canvas) canvas.requestFrame(updateLabelOrientation);
+    else updateLabelOrientation();
     if (rotateValueEl) rotateValueEl.textContent = `${deg}\u00B0`;
+    updateUrlState({ rot: deg || null });
   }
+  // Named d3 listeners replace those registered by the previously rendered tree
+  // Layouts that cannot rotate ignore the slider (and keep the recorded rotation)
   if (rotateInput) {
-    applyRotation(Number(rotateInput.value || 0));
-    rotateInput.addEventListener('input', (e) => applyRotation(Number(e.target.value)));
+    rotateInput.disabled = !view.rotatable;
+    if (view.rotatable) {
+      applyRotation(Number(rotateInput.value || 0));
+      d3.select(rotateInput).on('input.tree', (e) => applyRotation(Number(e.target.value)));
+    } else {
+      d3.select(rotateInput).on('input.tree', null);
+    }
   }
+  // Rotate programmatically (outline, URL state), keeping the slider in step
+  function setRotation(deg) {
+    if (!view.rotatable) return;
+    deg = ((deg + 180) % 360 + 360) % 360 - 180; // Keep within the slider range
+    if (rotateInput) rotateInput.value = deg;
+    applyRotation(deg);
+  }
+
+  // 7.25) Outline panel: choosing a row selects the node and turns it to the right
+  setupOutline({
+    root,
+    onSelect: (d) => {
+      if (collapse) collapse.reveal(d);
+      setRotation(Math.round(90 - (d.x * 180 / Math.PI)));
+      pickNode(d);
+    }
+  });
 
   // 7.5) Search + focus
-  setupSearch({
+  const search = setupSearch({
     root,
-    link,
+    link: linkMarks,
     node,
     info,
-    setCurrentRotate: (value) => { currentRotate = value; },
+    setCurrentRotate: (value) => {
+      if (!view.rotatable) return;
+      currentRotate = value;
+      updateUrlState({ rot: Math.round(value) || null });
+    },
     updateRotate,
-    updateLabelOrientation
+    updateLabelOrientation,
+    revealNode: collapse ? collapse.reveal : null
   });
 
   // 8) Zoom/pan (wheel/pinch)
   const zoomBehavior = d3.zoom()
     .scaleExtent([0.3, 8])
     .on('zoom', (event) => {
+      const start = performance.now();
       currentScale = event.transform.k;
       currentTranslateX = event.transform.x;
       currentTranslateY = event.transform.y;
       updateViewport();
-      if (cull && cull.updateByScale) cull.updateByScale(event.transform.k);
+      const isIdentity = event.transform.k === 1 && event.transform.x === 0 && event.transform.y === 0;
+      updateUrlState(isIdentity
+        ? { zoom: null, tx: null, ty: null }
+        : { zoom: event.transform.k, tx: event.transform.x, ty: event.transform.y });
+      // On canvas, culling and orientation of newly shown labels run once per frame,
+      // which is timed from the start of this handler
+      if (canvas) canvas.requestFrame(updateLabelsForScale, start);
+      else if (cull && cull.updateByScale) cull.updateByScale(event.transform.k);
     });
   svg.call(zoomBehavior).on('dblclick.zoom', null);
 
+  function updateLabelsForScale() {
+    cull.updateByScale(currentScale);
+    updateLabelOrientation();
+  }
+
   // Buttons for zoom control
   const btnIn = document.getElementById('zoomIn');
   const btnOut = document.getElementById('zoomOut');
   const btnReset = document.getElementById('zoomReset');
-  if (btnIn) btnIn.addEventListener('click', () => svg.transition().duration(150).call(zoomBehavior.scaleBy, 1.2));
-  if (btnOut) btnOut.addEventListener('click', () => svg.transition().duration(150).call(zoomBehavior.scaleBy, 1/1.2));
-  if (btnReset) btnReset.addEventListener('click', () => svg.transition().duration(150).call(zoomBehavior.transform, d3.zoomIdentity));
+  if (btnIn) d3.select(btnIn).on('click.tree', () => svg.transition().duration(150).call(zoomBehavior.scaleBy, 1.2));
+  if (btnOut) d3.select(btnOut).on('click.tree', () => svg.transition().duration(150).call(zoomBehavior.scaleBy, 1/1.2));
+  if (btnReset) d3.select(btnReset).on('click.tree', () => svg.transition().duration(150).call(zoomBehavior.transform, d3.zoomIdentity));
 
   // Initialize transforms
   updateViewport();
   updateRotate();
+
+  // 9) Controller for code outside this render (URL state, history, ...)
+  const idToNode = new Map(root.descendants().map(d => [d.data.id, d]));
+  const tree = {
+    root,
+    svg,
+    link,
+    node,
+    info,
+    getRotation: () => currentRotate,
+    setRotation,
+    getTransform: () => ({ k: currentScale, x: currentTranslateX, y: currentTranslateY }),
+    setTransform({ k = 1, x = 0, y = 0 }) {
+      svg.call(zoomBehavior.transform, d3.zoomIdentity.translate(x, y).scale(k));
+    },
+    search: search.search,
+    pick: search.pick,
+    layout: view.name,
+    renderer: useCanvas ? 'canvas' : 'svg',
+    collapse,
+    // Select a node by ID: as a search result if it is one, otherwise as a click would
+    focusById(id) {
+      if (search.selectMatch(id)) return true;
+      const d = idToNode.get(id);
+      if (!d) return false;
+      if (collapse) collapse.reveal(d);
+      selectNode(d);
+      return true;
+    }
+  };
+  setCurrentTree(tree);
+  return tree;
 }
 
 // Optional CSS to include in your page/app:
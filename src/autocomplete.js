@@ -0,0 +1,172 @@
+// Suggestion dropdown for the search box
+// While typing, the best matches of the current tree are listed under #searchInput (in
+// #searchSuggestions) with their lineage, taxon group and a synonym badge. The list
+// follows the ARIA combobox pattern: ArrowUp/ArrowDown move the active option, Enter
+// picks it, Escape closes the list. Input is debounced so large trees stay responsive.
+// Usage (from setupSearch, once per rendered tree):
+//   const suggestions = setupAutocomplete({
+//     input, list,
+//     suggest: q => [{ node, match }],   // ranked candidates for a query
+//     onPick: node => { ... }            // focus the picked node
+//   });
+//   if (suggestions.handleKey(event)) return;   // in the input's keydown handler
+
+import { isInvalidId, getSynonymInfo, isSynonymsReady } from './synonyms.js';
+import { MATCH_LABELS } from './fuzzyMatch.js';
+import { escapeHtml } from './html.js';
+
+const DEBOUNCE_MS = 150;
+const MAX_SUGGESTIONS = 8;
+const LINEAGE_DEPTH = 3; // Ancestors shown before the name
+
+let debounceTimer = null; // Shared, so a re-rendered tree cancels the previous tree's pending update
+
+// "… / Muridae / Murinae" above the candidate
+function lineageSnippet(node) {
+  const ancestors = node.ancestors().slice(1).reverse().map(a => a.data.name);
+  const shown = ancestors.slice(-LINEAGE_DEPTH);
+  return (ancestors.length > shown.length ? '… / ' : '') + shown.join(' / ');
+}
+
+function synonymBadge(node) {
+  if (!isSynonymsReady() || !isInvalidId(node.data.id)) return '';
+  const synonymInfo = getSynonymInfo(node.data.id);
+  return synonymInfo ? `<span class="suggestion-badge">synonym of ${escapeHtml(synonymInfo.validName)}</span>` : '';
+}
+
+/**
+ * Attach a suggestion list to the search input
+ * @param {Object} options
+ * @param {HTMLInputElement} options.input - The search box
+ * @param {HTMLElement} options.list - Container for the suggestions (role="listbox")
+ * @param {Function} options.suggest - (query) => ranked [{ node, match }]
+ * @param {Function} options.onPick - (node) => void, called when a suggestion is picked
+ * @param {number} options.limit - Maximum number of suggestions
+ * @returns {Object} { handleKey(event) -> true if the key was used, close() }
+ */
+export function setupAutocomplete({ input, list, suggest, onPick, limit = MAX_SUGGESTIONS }) {
+  if (!input || !list) return { handleKey: () => false, close: () => {} };
+  let items = [];
+  let active = -1;
+
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-controls', list.id);
+  input.setAttribute('autocomplete', 'off');
+
+  function isOpen() {
+    return !list.hidden && items.length > 0;
+  }
+
+  function close() {
+    clearTimeout(debounceTimer);
+    list.hidden = true;
+    list.innerHTML = '';
+    items = [];
+    active = -1;
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+  }
+
+  function setActive(index) {
+    active = index;
+    list.querySelectorAll('.suggestion').forEach((row, i) => {
+      row.classList.toggle('active', i === active);
+      row.setAttribute('aria-selected', String(i === active));
+    });
+    if (active >= 0) {
+      const row = list.children[active];
+      input.setAttribute('aria-activedescendant', row.id);
+      row.scrollIntoView({ block: 'nearest' });
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  function pick(index) {
+    const item = items[index];
+    if (!item) return;
+    close();
+    onPick(item.node);
+  }
+
+  function render(query) {
+    items = suggest(query).slice(0, limit);
+    active = -1;
+    if (!items.length) {
+      close();
+      return;
+    }
+    list.innerHTML = items.map(({ node, match }, i) => `
+      <div class="suggestion" id="suggestion-${i}" role="option" aria-selected="false" data-index="${i}">
+        <div class="suggestion-lineage">${escapeHtml(lineageSnippet(node))}</div>
+        <div class="suggestion-name">
+          ${escapeHtml(node.data.name)}
+          ${node.data.taxagroupid ? `<span class="suggestion-group">${escapeHtml(node.data.taxagroupid)}</span>` : ''}
+          ${synonymBadge(node)}
+          ${match && match.kind && match.kind !== 'exact' ? `<span class="suggestion-kind">${MATCH_LABELS[match.kind]}</span>` : ''}
+        </div>
+      </div>
+    `).join('');
+    list.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+    list.querySelectorAll('.suggestion').forEach(row => {
+      const index = Number(row.dataset.index);
+      // mousedown, so the pick happens before the input's blur closes the list
+      row.addEventListener('mousedown', event => {
+        event.preventDefault();
+        pick(index);
+      });
+      row.addEventListener('mouseenter', () => setActive(index));
+    });
+  }
+
+  // Named d3 listeners replace those of the previously rendered tree
+  d3.select(input)
+    .on('input.autocomplete', () => {
+      clearTimeout(debounceTimer);
+      const query = input.value.trim();
+      if (!query) {
+        close();
+        return;
+      }
+      debounceTimer = setTimeout(() => render(query), DEBOUNCE_MS);
+    })
+    .on('blur.autocomplete', close);
+
+  /**
+   * Keyboard handling while the list is open
+   * @param {KeyboardEvent} event - keydown on the input
+   * @returns {boolean} True if the key moved, picked or closed a suggestion
+   */
+  function handleKey(event) {
+    if (!isOpen()) return false;
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        setActive(active < items.length - 1 ? active + 1 : 0);
+        return true;
+      case 'ArrowUp':
+        event.preventDefault();
+        setActive(active > 0 ? active - 1 : items.length - 1);
+        return true;
+      case 'Enter':
+        // Without an active suggestion Enter runs the full search
+        if (active < 0) {
+          close();
+          return false;
+        }
+        event.preventDefault();
+        pick(active);
+        return true;
+      case 'Escape':
+        close();
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  close();
+  return { handleKey, close };
+}
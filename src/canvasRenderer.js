@@ -0,0 +1,295 @@
+// Canvas renderer for links and nodes of large dendrograms
+// In canvas mode the SVG keeps only what needs to be interactive or styled by CSS:
+// labels, highlighted link paths, focus labels and collapse wedges. Links and node dots
+// get no SVG elements; they are drawn on a <canvas> underneath the SVG with the same zoom
+// and rotation. Clicks on canvas-drawn marks are resolved with a quadtree of node
+// positions and link samples. Redraws (and the label work triggered by zoom/rotation) are
+// coalesced per animation frame, and the time of a whole frame is shown in #frameStats.
+// Usage:
+//   const canvas = setupCanvasRenderer({ container, svg, size, root, view, ... });
+//   canvas.requestFrame(task, start);    // run task, then redraw, in the next frame
+//   const hit = canvas.find(event);      // { node, link } under the pointer or null
+//   const overlay = createLinkOverlay(linkGroup, root.links(), { linkGen });
+//   highlightPath(overlay, node, d);     // used like the link selection of an SVG tree
+//   setupRendererSelect({ onChange: name => { ... } });   // wire #rendererSelect
+
+export const RENDERERS = {
+  auto: 'Auto',
+  svg: 'SVG',
+  canvas: 'Canvas'
+};
+export const CANVAS_AUTO_THRESHOLD = 5000; // Nodes; 'auto' switches to canvas from here
+
+const HIT_RADIUS = 6; // Screen px
+const LINK_SAMPLES = [0.25, 0.5, 0.75]; // Positions along each link added to the quadtree
+const FRAME_WINDOW = 30; // Frames averaged for #frameStats
+
+let currentRenderer = 'auto';
+
+/**
+ * Name of the renderer used for new renders
+ * @returns {string} Key of RENDERERS
+ */
+export function getRendererName() {
+  return currentRenderer;
+}
+
+/**
+ * Choose the renderer for new renders (unknown names fall back to auto)
+ * @param {string} name - Key of RENDERERS
+ * @returns {string} The renderer now in use
+ */
+export function setRendererName(name) {
+  currentRenderer = RENDERERS[name] ? name : 'auto';
+  const select = document.getElementById('rendererSelect');
+  if (select) select.value = currentRenderer;
+  return currentRenderer;
+}
+
+/**
+ * Whether a tree should be drawn on canvas
+ * @param {string} renderer - Key of RENDERERS
+ * @param {Object} view - Layout descriptor from createLayout
+ * @param {number} nodeCount - Number of nodes in the hierarchy
+ * @returns {boolean} True for canvas
+ */
+export function shouldUseCanvas(renderer, view, nodeCount) {
+  if (!view.dendrogram) return false; // Cell layouts stay SVG
+  return renderer === 'canvas' || (renderer === 'auto' && nodeCount >= CANVAS_AUTO_THRESHOLD);
+}
+
+// Point on a cubic Bézier curve
+function bezier(p0, p1, p2, p3, t) {
+  const u = 1 - t;
+  return [
+    u * u * u * p0[0] + 3 * u * u * t * p1[0] + 3 * u * t * t * p2[0] + t * t * t * p3[0],
+    u * u * u * p0[1] + 3 * u * u * t * p1[1] + 3 * u * t * t * p2[1] + t * t * t * p3[1]
+  ];
+}
+
+/**
+ * Draw a dendrogram on a canvas below the SVG
+ * @param {Object} options
+ * @param {Object} options.container - d3 selection of the chart container
+ * @param {Object} options.svg - d3 selection of the tree SVG (gets the .canvas-mode class)
+ * @param {Object} options.gRoot - d3 selection of the rotator group (pointer coordinates)
+ * @param {number} options.size - SVG width/height in px
+ * @param {Object} options.root - d3.hierarchy root
+ * @param {Object} options.view - Layout descriptor (makeLinkGen, nodePoint, linkControlPoints)
+ * @param {Function} options.getTransform - () => { k, x, y } zoom transform
+ * @param {Function} options.getRotation - () => rotation in degrees
+ * @param {Function} options.isHidden - (d) => true inside a collapsed clade
+ * @param {Function} options.nodeColor - (d) => fill or null for the default
+ * @param {Function} options.linkColor - (link) => stroke or null for the default
+ * @param {Function} options.nodeRadius - (d) => dot radius in px
+ * @param {Function} options.linkWidth - (link) => line width, or null for the default
+ * @param {Function} options.opacity - (d) => opacity of a node and the link to it; 0 skips them
+ * @returns {Object} { requestFrame, draw, rebuildIndex, find }
+ */
+export function setupCanvasRenderer({
+  container,
+  svg,
+  gRoot,
+  size,
+  root,
+  view,
+  getTransform,
+  getRotation,
+  isHidden = () => false,
+  nodeColor = () => null,
+  linkColor = () => null,
+  nodeRadius = () => 2.2,
+  linkWidth = () => null,
+  opacity = () => 1
+}) {
+  const dpr = window.devicePixelRatio || 1;
+  const canvas = container.insert('canvas', 'svg')
+    .attr('class', 'tree-canvas')
+    .attr('width', Math.round(size * dpr))
+    .attr('height', Math.round(size * dpr))
+    .style('width', `${size}px`)
+    .style('height', `${size}px`);
+  const ctx = canvas.node().getContext('2d');
+  const linkPath = view.makeLinkGen().context(ctx);
+  svg.classed('canvas-mode', true);
+
+  const nodes = root.descendants();
+  const links = root.links();
+  const statsEl = document.getElementById('frameStats');
+  const frameTimes = [];
+  let quadtree = null;
+  let frameRequested = false;
+  let eventMs = 0; // Time spent in the events that requested the pending frame
+  const tasks = new Set();
+
+  function rebuildIndex() {
+    const items = [];
+    nodes.forEach(d => {
+      if (isHidden(d)) return;
+      const [x, y] = view.nodePoint(d);
+      items.push({ x, y, node: d, link: null });
+    });
+    links.forEach(l => {
+      if (isHidden(l.target)) return;
+      const [p0, p1, p2, p3] = view.linkControlPoints(l);
+      LINK_SAMPLES.forEach(t => {
+        const [x, y] = bezier(p0, p1, p2, p3, t);
+        items.push({ x, y, node: null, link: l });
+      });
+    });
+    quadtree = d3.quadtree().x(item => item.x).y(item => item.y).addAll(items);
+  }
+
+  function strokeLinks(list, color, width, alpha) {
+    if (!list.length) return;
+    ctx.beginPath();
+    list.forEach(l => linkPath(l));
+    ctx.strokeStyle = color;
+    ctx.lineWidth = width;
+    ctx.globalAlpha = alpha;
+    ctx.stroke();
+  }
+
+  function draw() {
+    const { k, x, y } = getTransform();
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, size, size);
+    ctx.translate(size / 2 + x, size / 2 + y);
+    ctx.scale(k, k);
+    ctx.rotate((getRotation() * Math.PI) / 180);
+
+    // Links, batched by color, width and opacity
+    const byStyle = new Map();
+    links.forEach(l => {
+      const alpha = opacity(l.target);
+      if (isHidden(l.target) || !alpha) return;
+      const color = linkColor(l);
+      const width = linkWidth(l) ?? (color ? 1.6 : 1);
+      const key = `${color}|${width}|${alpha}`;
+      if (!byStyle.has(key)) byStyle.set(key, { color, width, alpha, list: [] });
+      byStyle.get(key).list.push(l);
+    });
+    byStyle.forEach(({ color, width, alpha, list }) => strokeLinks(list, color || 'rgba(154, 160, 166, 0.8)', width, alpha));
+
+    // Node dots, batched by color and opacity
+    const dots = new Map();
+    nodes.forEach(d => {
+      const alpha = opacity(d);
+      if (isHidden(d) || !alpha) return;
+      const color = nodeColor(d) || '#202124';
+      const key = `${color}|${alpha}`;
+      if (!dots.has(key)) dots.set(key, { color, alpha, list: [] });
+      dots.get(key).list.push(d);
+    });
+    dots.forEach(({ color, alpha, list }) => {
+      ctx.beginPath();
+      list.forEach(d => {
+        const [px, py] = view.nodePoint(d);
+        const r = nodeRadius(d);
+        ctx.moveTo(px + r, py);
+        ctx.arc(px, py, r, 0, 2 * Math.PI);
+      });
+      ctx.fillStyle = color;
+      ctx.globalAlpha = alpha;
+      ctx.fill();
+    });
+    ctx.globalAlpha = 1;
+  }
+
+  function recordFrame(ms) {
+    frameTimes.push(ms);
+    if (frameTimes.length > FRAME_WINDOW) frameTimes.shift();
+    if (!statsEl) return;
+    const average = frameTimes.reduce((sum, t) => sum + t, 0) / frameTimes.length;
+    statsEl.textContent = `Canvas · ${nodes.length.toLocaleString()} nodes · ${average.toFixed(1)} ms/frame`;
+  }
+
+  /**
+   * Run a task (label culling, orientation, ...) and redraw in the next animation frame
+   * The frame time in #frameStats covers the tasks, the redraw and, when start is given,
+   * the event handler that requested the frame (e.g. a zoom event).
+   * @param {Function} task - Optional work to do before drawing; repeated tasks run once
+   * @param {number} start - Optional performance.now() at the start of the calling handler
+   */
+  function requestFrame(task, start) {
+    if (task) tasks.add(task);
+    if (start !== undefined) eventMs += performance.now() - start;
+    if (frameRequested) return;
+    frameRequested = true;
+    requestAnimationFrame(() => {
+      const frameStart = performance.now();
+      frameRequested = false;
+      const pending = [...tasks];
+      tasks.clear();
+      pending.forEach(fn => fn());
+      draw();
+      recordFrame(eventMs + performance.now() - frameStart);
+      eventMs = 0;
+    });
+  }
+
+  /**
+   * Find the canvas-drawn node or link under a pointer event
+   * @param {Event} event - Mouse event on the SVG
+   * @returns {Object|null} { node, link, distance } in screen px, or null
+   */
+  function find(event) {
+    if (!quadtree) return null;
+    const [x, y] = d3.pointer(event, gRoot.node());
+    const { k } = getTransform();
+    const item = quadtree.find(x, y, HIT_RADIUS / k);
+    if (!item) return null;
+    return { node: item.node, link: item.link, distance: Math.hypot(item.x - x, item.y - y) * k };
+  }
+
+  if (statsEl) statsEl.textContent = '';
+  rebuildIndex();
+  draw();
+  return { requestFrame, draw, rebuildIndex, find };
+}
+
+/**
+ * Highlighted links of a canvas-drawn tree, as SVG paths
+ * Stands in for the link selection where links are highlighted (highlight.js, search.js):
+ * classed() takes the same arguments, and only links that have a class get a <path>.
+ * @param {Object} container - d3 selection of the (empty) .tree-links group
+ * @param {Array} links - root.links()
+ * @param {Object} options - { linkGen, isHidden(d) } link generator; nodes inside collapsed clades
+ * @returns {Object} { classed(name, value), update() } update() redraws after a re-layout
+ */
+export function createLinkOverlay(container, links, { linkGen, isHidden = () => false }) {
+  const classes = new Map(); // Class name -> Set of links
+
+  function update() {
+    const marked = links.filter(l => !isHidden(l.target) && [...classes.values()].some(set => set.has(l)));
+    const path = container.selectAll('path')
+      .data(marked)
+      .join('path')
+      .attr('d', linkGen);
+    classes.forEach((set, name) => path.classed(name, l => set.has(l)));
+  }
+
+  const overlay = {
+    classed(name, value) {
+      classes.set(name, new Set(typeof value === 'function' ? links.filter(value) : (value ? links : [])));
+      update();
+      return overlay;
+    },
+    update
+  };
+  return overlay;
+}
+
+/**
+ * Fill #rendererSelect with RENDERERS and report changes
+ * @param {Object} options - { onChange(name) } called after the user picks a renderer
+ */
+export function setupRendererSelect({ onChange }) {
+  const select = document.getElementById('rendererSelect');
+  if (!select) return;
+  select.innerHTML = Object.entries(RENDERERS)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`)
+    .join('');
+  select.value = currentRenderer;
+  select.addEventListener('change', () => onChange(setRendererName(select.value)));
+}
@@ -0,0 +1,271 @@
+// Collapsible clades for the radial dendrogram
+// Clicking the circle of an internal node folds its subtree into a wedge labelled with
+// the number of descendants (in the dendrogram layouts, see layouts.js). Collapsed nodes
+// keep their SVG elements: the layout runs with their children detached (so they take the
+// place of a leaf), descendants are hidden with the .collapsed-hidden class, and
+// nodes/links animate to the new layout.
+// Collapsed IDs are kept per root taxon, so they survive rotation, zoom and re-renders
+// of the same tree (e.g. switching between Focus and Whole View).
+// Usage:
+//   const collapse = setupCollapse({ root, link, node, layout, linkGen, nodeTransform, onLayout });
+//   collapse.toggle(d);                  // collapse or expand one node
+//   collapse.expandToDepth(2);           // show two levels below the root
+//   collapse.collapseBelowRank('family');
+//   setupCollapseControls();             // wire #expandDepth / #collapseRank buttons
+
+import { getCurrentTree } from './currentTree.js';
+import { inferTreeRanks, rankIndex } from './ranks.js';
+
+const WEDGE_LENGTH = 14;
+const TRANSITION_MS = 450;
+const collapsedByRoot = new Map(); // root taxon id -> Set of collapsed taxon ids
+
+/**
+ * Node transform in the rotated radial frame (+x points away from the center)
+ * @param {number} x - Angle in radians
+ * @param {number} y - Radius
+ * @returns {string} SVG transform
+ */
+export function radialTransform(x, y) {
+  return `rotate(${(x * 180 / Math.PI - 90)}) translate(${y},0)`;
+}
+
+/**
+ * Run a hierarchy layout as if collapsed nodes were leaves
+ * @param {Object} root - d3.hierarchy root (x/y are assigned by the layout)
+ * @param {Function} layout - Configured d3.cluster (or another hierarchy layout)
+ * @param {Set} collapsedIds - Taxon IDs of collapsed nodes
+ * @returns {Set} Nodes hidden inside a collapsed ancestor
+ */
+export function layoutWithCollapsed(root, layout, collapsedIds) {
+  const detached = root.descendants().filter(d => d.parent && d.children && collapsedIds.has(d.data.id));
+  detached.forEach(d => {
+    d._collapsedChildren = d.children;
+    d.children = null;
+  });
+  layout(root);
+  detached.forEach(d => {
+    d.children = d._collapsedChildren;
+    delete d._collapsedChildren;
+  });
+
+  // Hidden descendants sit on their collapsed ancestor, so expanding grows out of it
+  const hidden = new Set();
+  (function visit(d, anchor) {
+    if (anchor) {
+      hidden.add(d);
+      d.x = anchor.x;
+      d.y = anchor.y;
+    }
+    const nextAnchor = anchor || (d.parent && d.children && collapsedIds.has(d.data.id) ? d : null);
+    (d.children || []).forEach(c => visit(c, nextAnchor));
+  })(root, null);
+  return hidden;
+}
+
+function wedgePath(count) {
+  const halfWidth = Math.min(10, 2.5 + Math.sqrt(count));
+  return `M0,0L${WEDGE_LENGTH},${-halfWidth}L${WEDGE_LENGTH},${halfWidth}Z`;
+}
+
+/**
+ * Make internal nodes of a rendered tree collapsible
+ * @param {Object} options
+ * @param {Object} options.root - d3.hierarchy root, already laid out
+ * @param {Object} options.link - d3 selection of link paths
+ * @param {Object} options.node - d3 selection of node groups
+ * @param {Function} options.layout - The layout used for the tree
+ * @param {Function} options.linkGen - Link generator used for the link paths
+ * @param {Function} options.nodeTransform - (x, y) => transform of a node group
+ * @param {Function} options.onLayout - Called after each re-layout (label orientation, culling)
+ * @param {boolean} options.animate - Animate re-layouts (off when links and nodes are drawn on canvas)
+ * @param {boolean} options.handles - Add click targets on internal nodes (off on canvas, which hit-tests the dots)
+ * @returns {Object} { toggle, reveal, expandAll, expandToDepth, collapseBelowRank, isCollapsed, isHidden, isLayoutLeaf, labelOffset, layoutLeaves }
+ */
+export function setupCollapse({ root, link, node, layout, linkGen, nodeTransform = radialTransform, onLayout = () => {}, animate = true, handles = true }) {
+  const rootKey = root.data.id;
+  if (!collapsedByRoot.has(rootKey)) collapsedByRoot.set(rootKey, new Set());
+  const collapsedIds = collapsedByRoot.get(rootKey);
+  let hidden = new Set();
+  let ranks = null; // Inferred on first use
+
+  const isCollapsed = d => !!(d.parent && d.children && collapsedIds.has(d.data.id));
+  const isHidden = d => hidden.has(d);
+  const isLayoutLeaf = d => !d.children || isCollapsed(d);
+  const labelOffset = d => (isCollapsed(d) ? WEDGE_LENGTH + 4 : 6);
+
+  // A larger transparent click target on internal nodes; wedges are added once a node collapses
+  const internal = node.filter(d => d.parent && d.children);
+  const wedged = new Set();
+  if (handles) {
+    internal.append('circle')
+      .attr('class', 'collapse-handle')
+      .attr('r', 6)
+      .style('fill', 'transparent')
+      .append('title')
+      .text('Click to collapse or expand');
+  }
+
+  function decorate() {
+    // The wedge goes behind the node circle
+    internal.filter(d => isCollapsed(d) && !wedged.has(d))
+      .each(d => wedged.add(d))
+      .insert('path', ':first-child')
+      .attr('class', 'collapse-wedge')
+      .attr('d', d => wedgePath(d.descendants().length - 1));
+    internal.filter(d => wedged.has(d)).select('.collapse-wedge').style('display', d => (isCollapsed(d) ? null : 'none'));
+    internal.select('text').text(d => (isCollapsed(d) ? `${d.data.name} (${d.descendants().length - 1})` : d.data.name));
+  }
+
+  function apply(transition, notify = true) {
+    node.interrupt('collapse');
+    link.interrupt('collapse');
+    node.each(d => { d._x0 = d.x; d._y0 = d.y; });
+    const wasHidden = hidden;
+    hidden = layoutWithCollapsed(root, layout, collapsedIds);
+    decorate();
+    if (notify) onLayout();
+
+    // Elements that become visible are shown right away (they start on their ancestor);
+    // elements that become hidden are hidden once they have moved into it
+    node.filter(d => !hidden.has(d)).classed('collapsed-hidden', false);
+    link.filter(l => !hidden.has(l.target)).classed('collapsed-hidden', false);
+
+    if (!transition) {
+      node.attr('transform', d => nodeTransform(d.x, d.y));
+      link.attr('d', linkGen);
+      node.classed('collapsed-hidden', d => hidden.has(d));
+      link.classed('collapsed-hidden', l => hidden.has(l.target));
+      return;
+    }
+
+    // Only animate what is or was on screen
+    const moving = d => !(hidden.has(d) && wasHidden.has(d));
+    node.filter(moving)
+      .transition('collapse')
+      .duration(TRANSITION_MS)
+      .attrTween('transform', d => {
+        const x = d3.interpolate(d._x0, d.x);
+        const y = d3.interpolate(d._y0, d.y);
+        return t => nodeTransform(x(t), y(t));
+      })
+      .on('end', function (d) { d3.select(this).classed('collapsed-hidden', hidden.has(d)); });
+    node.filter(d => !moving(d))
+      .attr('transform', d => nodeTransform(d.x, d.y))
+      .classed('collapsed-hidden', true);
+
+    link.filter(l => moving(l.target))
+      .transition('collapse')
+      .duration(TRANSITION_MS)
+      .attrTween('d', l => {
+        const sx = d3.interpolate(l.source._x0, l.source.x);
+        const sy = d3.interpolate(l.source._y0, l.source.y);
+        const tx = d3.interpolate(l.target._x0, l.target.x);
+        const ty = d3.interpolate(l.target._y0, l.target.y);
+        return t => linkGen({ source: { x: sx(t), y: sy(t) }, target: { x: tx(t), y: ty(t) } });
+      })
+      .on('end', function (l) { d3.select(this).classed('collapsed-hidden', hidden.has(l.target)); });
+    link.filter(l => !moving(l.target))
+      .attr('d', linkGen)
+      .classed('collapsed-hidden', true);
+  }
+
+  function setCollapsed(ids) {
+    collapsedIds.clear();
+    ids.forEach(id => collapsedIds.add(id));
+    apply(animate);
+  }
+
+  function toggle(d) {
+    if (!d.parent || !d.children) return;
+    if (collapsedIds.has(d.data.id)) collapsedIds.delete(d.data.id);
+    else collapsedIds.add(d.data.id);
+    apply(animate);
+  }
+
+  // Expand every collapsed ancestor so a node (e.g. a search result) is on screen
+  function reveal(d) {
+    const blocking = d.ancestors().slice(1).filter(isCollapsed);
+    if (!blocking.length) return;
+    blocking.forEach(a => collapsedIds.delete(a.data.id));
+    apply(animate);
+  }
+
+  function expandToDepth(depth) {
+    setCollapsed(root.descendants().filter(d => d.children && d.depth === depth).map(d => d.data.id));
+  }
+
+  // Collapse the highest nodes at or below a rank; nodes of unknown rank stay open
+  function collapseBelowRank(rank) {
+    if (!ranks) ranks = inferTreeRanks(root);
+    const target = rankIndex(rank);
+    const ids = [];
+    (function visit(d) {
+      const index = rankIndex(ranks.get(d));
+      if (d.parent && d.children && index >= 0 && index >= target) {
+        ids.push(d.data.id);
+        return;
+      }
+      (d.children || []).forEach(visit);
+    })(root);
+    setCollapsed(ids);
+  }
+
+  // Leaves of the current layout (collapsed nodes included), for label culling
+  function layoutLeaves() {
+    return root.descendants().filter(d => isLayoutLeaf(d) && !hidden.has(d));
+  }
+
+  // Restore collapsed clades of an earlier render; the caller lays out labels afterwards
+  if (collapsedIds.size) apply(false, false);
+  else decorate();
+
+  return {
+    toggle,
+    reveal,
+    expandAll: () => setCollapsed([]),
+    expandToDepth,
+    collapseBelowRank,
+    isCollapsed,
+    isHidden,
+    isLayoutLeaf,
+    labelOffset,
+    layoutLeaves
+  };
+}
+
+/**
+ * Wire the clade controls in the controls panel to the current tree
+ */
+export function setupCollapseControls() {
+  const depthInput = document.getElementById('expandDepth');
+  const depthBtn = document.getElementById('expandDepthBtn');
+  const rankSelect = document.getElementById('collapseRank');
+  const rankBtn = document.getElementById('collapseRankBtn');
+  const expandAllBtn = document.getElementById('expandAllBtn');
+
+  function collapsible() {
+    const tree = getCurrentTree();
+    return tree && tree.collapse ? tree.collapse : null;
+  }
+
+  if (depthBtn && depthInput) {
+    depthBtn.addEventListener('click', () => {
+      const collapse = collapsible();
+      const depth = Math.max(1, Math.round(Number(depthInput.value) || 1));
+      if (collapse) collapse.expandToDepth(depth);
+    });
+  }
+  if (rankBtn && rankSelect) {
+    rankBtn.addEventListener('click', () => {
+      const collapse = collapsible();
+      if (collapse) collapse.collapseBelowRank(rankSelect.value);
+    });
+  }
+  if (expandAllBtn) {
+    expandAllBtn.addEventListener('click', () => {
+      const collapse = collapsible();
+      if (collapse) collapse.expandAll();
+    });
+  }
+}
@@ -0,0 +1,24 @@
+// Registry for the most recently rendered tree
+// renderMammalTree registers the controller it returns, so modules that live
+// outside a single render (URL state, exports, ...) can reach the live tree.
+// Usage:
+//   setCurrentTree(tree);   // called by renderMammalTree
+//   getCurrentTree();       // { root, svg, link, node, info, setRotation, ... } or null
+
+let currentTree = null;
+
+/**
+ * Register the tree controller returned by the latest render
+ * @param {Object|null} tree - Tree controller
+ */
+export function setCurrentTree(tree) {
+  currentTree = tree;
+}
+
+/**
+ * Get the tree controller of the latest render
+ * @returns {Object|null} Tree controller or null if nothing is rendered
+ */
+export function getCurrentTree() {
+  return currentTree;
+}
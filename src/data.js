@@ -1,5 +1,8 @@
 // Data transformations: parse exported paths, normalize rows, and build hierarchy
 
+import { matchesSynonymFilter } from './synonymFilter.js';
+import { normalizeRank } from './ranks.js';
+
 function parseIdPath(value) {
   if (Array.isArray(value)) return value.map(Number);
   if (typeof value !== 'string') return [];
@@ -24,7 +27,7 @@ function parseIdPath(value) {
   return [];
 }
 
-function parseNamePath(value) {
+export function parseNamePath(value) {
   if (Array.isArray(value)) return value.map(String);
   if (typeof value !== 'string') return [];
   const s = value.trim();
@@ -58,9 +61,30 @@ export function normalizeRows(rows) {
   }));
 }
 
+// Columns of the path rows themselves, never used as numeric fields
+const ROW_COLUMNS = new Set(['taxonid', 'taxonname', 'ids_root_to_leaf', 'names_root_to_leaf', 'taxagroupid', 'rank']);
+
+// Numeric values of a row's other columns, or null if it has none
+function numericFields(row) {
+  let fields = null;
+  Object.entries(row).forEach(([key, value]) => {
+    if (ROW_COLUMNS.has(key) || typeof value !== 'number' || !Number.isFinite(value)) return;
+    (fields || (fields = {}))[key] = value;
+  });
+  return fields;
+}
+
+/**
+ * Build a nested tree from normalized path rows
+ * @param {Array} rows - Rows from normalizeRows
+ * @param {number} rootId - Taxon ID of the root (rows starting elsewhere are skipped)
+ * @param {string} rootName - Name of the root
+ * @returns {Object} { root, byId: Map(id -> node), parentById: Map(id -> parent node) }
+ */
 export function pathsToTree(rows, rootId = 6171, rootName = 'Mammalia') {
   const root = { id: rootId, name: rootName, children: [] };
   const byId = new Map([[root.id, root]]);
+  const parentById = new Map();
   const nameDict = new Map();
   for (const r of rows) {
     r.ids_root_to_leaf.forEach((id, i) => {
@@ -79,14 +103,44 @@ export function pathsToTree(rows, rootId = 6171, rootName = 'Mammalia') {
       let child = byId.get(id);
       if (!child) {
         child = { id, name, children: [] };
+        if (r.taxagroupid) child.taxagroupid = r.taxagroupid; // Lets drill-downs keep their group
         byId.set(id, child);
+        parentById.set(id, parent);
         (parent.children || (parent.children = [])).push(child);
       }
       parent = child;
     }
   }
+  // Ranks supplied with the rows (a rank column, see importData.js) take precedence over inferred ones;
+  // other numeric columns are kept as node.fields for the encodings (see encodings.js)
+  for (const r of rows) {
+    const node = byId.get(r.ids_root_to_leaf[r.ids_root_to_leaf.length - 1]);
+    if (!node) continue;
+    const rank = normalizeRank(r.rank);
+    if (rank) node.rank = rank;
+    const fields = numericFields(r);
+    if (fields) node.fields = fields;
+  }
   (function prune(n) { if (n.children && n.children.length) n.children.forEach(prune); else delete n.children; })(root);
-  return { root, byId };
+  return { root, byId, parentById };
+}
+
+/**
+ * Map every node ID below the root to its parent node
+ * @param {Object} treeRoot - The root of the tree
+ * @returns {Map} id -> parent node
+ */
+export function indexParents(treeRoot) {
+  const parentById = new Map();
+  const stack = [treeRoot];
+  while (stack.length) {
+    const n = stack.pop();
+    (n.children || []).forEach(c => {
+      parentById.set(c.id, n);
+      stack.push(c);
+    });
+  }
+  return parentById;
 }
 
 /**
@@ -95,8 +149,14 @@ export function pathsToTree(rows, rootId = 6171, rootName = 'Mammalia') {
  * @param {Map} byId - Map of node ID to node object
  * @param {Object} synonymManager - The synonym manager with getSynonymInfo method
  * @param {Array} allRows - All available rows including those not in tree
+ * @param {Map} parentById - Optional parent index from pathsToTree (built from the tree if omitted)
+ * @param {Object} options - Optional { filter, mode } (see synonymFilter.js):
+ *   filter { types, from, to }: only synonyms passing it are added;
+ *   mode 'separate' adds them as siblings of their valid node, 'merged' lists them in the
+ *   valid node's mergedSynonyms, 'hidden' adds none
  */
-export function addMissingSynonyms(treeRoot, byId, synonymManager, allRows) {
+export function addMissingSynonyms(treeRoot, byId, synonymManager, allRows, parentById = indexParents(treeRoot), { filter = null, mode = 'separate' } = {}) {
+  if (mode === 'hidden') return;
   if (!synonymManager || !synonymManager.isReady()) {
     console.log('Synonym manager not ready, skipping synonym additions');
     return;
@@ -130,25 +190,26 @@ export function addMissingSynonyms(treeRoot, byId, synonymManager, allRows) {
       const synId = syn.invalid_id;
       
       // If synonym is not in tree but exists in allRows, add it
-      if (!byId.has(synId) && allNodesMap.has(synId)) {
+      if (!byId.has(synId) && allNodesMap.has(synId) && matchesSynonymFilter(syn, filter)) {
         const synNodeData = allNodesMap.get(synId);
         
-        // Find the parent of the current node to add synonym as sibling
-        let parent = null;
-        
-        // Search for parent by traversing the tree
-        function findParent(node, targetId, par = null) {
-          if (node.id === targetId) return par;
-          if (node.children) {
-            for (const child of node.children) {
-              const result = findParent(child, targetId, node);
-              if (result) return result;
-            }
-          }
-          return null;
+        if (mode === 'merged') {
+          // Listed on the valid node instead (drawn as a badge)
+          if (!currentNode.mergedSynonyms) currentNode.mergedSynonyms = [];
+          if (currentNode.mergedSynonyms.some(merged => merged.id === synId)) return;
+          currentNode.mergedSynonyms.push({
+            id: synId,
+            name: synNodeData.name,
+            synonymtypeid: syn.synonymtypeid,
+            synonymtype: syn.synonymtype,
+            recdatemodified: syn.recdatemodified
+          });
+          addedCount++;
+          return;
         }
         
-        parent = findParent(treeRoot, nodeId);
+        // Find the parent of the current node to add synonym as sibling
+        const parent = parentById.get(nodeId) || null;
         
         if (parent) {
           // Create synonym node as sibling
@@ -156,15 +217,20 @@ export function addMissingSynonyms(treeRoot, byId, synonymManager, allRows) {
             id: synId,
             name: synNodeData.name,
             isSynonym: true, // Mark this as a synonym node added artificially
-            validId: synonymInfo.validId
+            validId: synonymInfo.validId,
+            // The synonym record, for colouring by type (see synonymFilter.js)
+            synonymtypeid: syn.synonymtypeid,
+            synonymtype: syn.synonymtype,
+            recdatemodified: syn.recdatemodified
           };
           
           // Add to parent's children
           if (!parent.children) parent.children = [];
           parent.children.push(synNode);
           
-          // Add to byId map
+          // Add to byId map and the parent index
           byId.set(synId, synNode);
+          parentById.set(synId, parent);
           
           addedCount++;
           console.log(`Added synonym: ${synNodeData.name} (ID: ${synId}) as sibling of ${currentNode.name} (ID: ${nodeId})`);
@@ -174,7 +240,7 @@ export function addMissingSynonyms(treeRoot, byId, synonymManager, allRows) {
   });
   
   if (addedCount > 0) {
-    console.log(`✓ Added ${addedCount} missing synonym nodes to the tree`);
+    console.log(`✓ Added ${addedCount} missing synonym ${mode === 'merged' ? 'badges' : 'nodes'} to the tree`);
   }
 }
 
@@ -0,0 +1,159 @@
+// Offline cache for parsed data files (IndexedDB)
+// Parsed datasets (the converted taxon path rows, the SynonymManager maps) are stored with
+// the version of the file they came from: its ETag / Last-Modified header, and a SHA-256
+// hash of the content. On later loads a HEAD request is enough to reuse the parsed data;
+// the file is downloaded and parsed again only when it changed. Without a connection the
+// cached data is used as is. Works on the main thread and in workers.
+// Usage:
+//   const rows = await loadCachedDataset('taxonpaths', url, data => convertTaxonPaths(data), {
+//     onStatus: status => console.log(status)   // 'checking' | 'downloading' | 'parsing' | 'cached' | 'offline'
+//   });
+
+const DB_NAME = 'taxonomy-visualizer';
+const DB_VERSION = 1;
+const STORE = 'datasets';
+// Bump when a parser changes the shape of what is stored, so older entries are re-parsed
+const CACHE_FORMAT = 2;
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'key' });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+function withStore(mode, action) {
+  return openDatabase().then(db => new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = action(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  }));
+}
+
+/**
+ * Read a cached dataset record
+ * @param {string} key - Dataset name
+ * @returns {Promise<Object|null>} { key, format, version, hash, value, savedAt } or null
+ */
+export async function getCachedDataset(key) {
+  try {
+    const record = await withStore('readonly', store => store.get(key));
+    return record && record.format === CACHE_FORMAT ? record : null;
+  } catch (error) {
+    console.warn(`Data cache unavailable (${key}):`, error);
+    return null;
+  }
+}
+
+async function putCachedDataset(record) {
+  try {
+    await withStore('readwrite', store => store.put({ ...record, format: CACHE_FORMAT, savedAt: Date.now() }));
+  } catch (error) {
+    // Quota exceeded or private browsing: the data still works, it just isn't kept
+    console.warn(`Could not cache ${record.key}:`, error);
+  }
+}
+
+/**
+ * Remove every cached dataset
+ * @returns {Promise<void>}
+ */
+export async function clearDataCache() {
+  await withStore('readwrite', store => store.clear());
+}
+
+/**
+ * Hex digest identifying a file's content
+ * @param {string} text - File content
+ * @returns {Promise<string>} SHA-256 (or FNV-1a where SubtleCrypto is unavailable, e.g. plain http)
+ */
+export async function contentHash(text) {
+  if (typeof crypto !== 'undefined' && crypto.subtle) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  }
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `fnv-${(hash >>> 0).toString(16)}-${text.length}`;
+}
+
+// Version from HTTP validators; null when the server sends none
+function responseVersion(response) {
+  return response.headers.get('ETag') || response.headers.get('Last-Modified') || null;
+}
+
+/**
+ * Load a JSON file, parse it, and keep the parsed value in IndexedDB
+ * @param {string} key - Dataset name in the cache
+ * @param {string} url - Location of the JSON file
+ * @param {Function} parse - (json) => value to store (must be structured-cloneable: Maps, Sets, arrays, ...)
+ * @param {Object} options - { onStatus(status) } reports 'checking', 'downloading', 'parsing', 'cached' or 'offline'
+ * @returns {Promise<*>} The parsed value
+ */
+export async function loadCachedDataset(key, url, parse, { onStatus = () => {} } = {}) {
+  const cached = await getCachedDataset(key);
+
+  let version = null;
+  if (cached) {
+    onStatus('checking');
+    try {
+      const head = await fetch(url, { method: 'HEAD', cache: 'no-cache' });
+      if (head.ok) version = responseVersion(head);
+      if (version && version === cached.version) {
+        onStatus('cached');
+        return cached.value;
+      }
+    } catch (error) {
+      onStatus('offline');
+      return cached.value;
+    }
+  }
+
+  onStatus('downloading');
+  let text;
+  let response;
+  try {
+    response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+    text = await response.text();
+  } catch (error) {
+    if (cached) {
+      onStatus('offline');
+      return cached.value;
+    }
+    throw error;
+  }
+
+  // Same content under a new validator (e.g. the file was touched or re-deployed)
+  const hash = await contentHash(text);
+  version = responseVersion(response) || version;
+  if (cached && cached.hash === hash) {
+    await putCachedDataset({ ...cached, version });
+    onStatus('cached');
+    return cached.value;
+  }
+
+  onStatus('parsing');
+  const value = parse(JSON.parse(text));
+  await putCachedDataset({ key, version, hash, value });
+  return value;
+}
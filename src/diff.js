@@ -0,0 +1,255 @@
+// Compare two taxonomy snapshots (path-row datasets) and merge them into one tree
+// Nodes are matched by taxon ID. Each taxon is classified as:
+//   added    - only in the new snapshot
+//   removed  - only in the old snapshot (kept in the merged tree under its old parent)
+//   moved    - parent ID differs between the snapshots (drawn at its new position)
+//   renamed  - name differs between the snapshots
+// A taxon that is both moved and renamed is listed under both and colored as moved.
+// Newick and NEXUS imports have no taxon IDs (they get generated negative ones by position),
+// so when either snapshot has only generated IDs, taxa are matched by their name path
+// instead: then a moved or renamed taxon shows up as removed and added.
+// Usage:
+//   const diff = diffSnapshots(oldRows, newRows);
+//   renderMammalTree({ rows: diff.mergedRows, rootId: diff.rootId, rootName: diff.rootName,
+//                      diffStatus: diff.status });
+//   showDiffReport(diff, { oldName: 'taxa-2023.csv', newName: 'taxa-2024.csv' });
+//   setupCompare({ onCompare: (diff, labels) => { ... } });   // wire the Compare row
+
+import { normalizeRows, pathsToTree } from './data.js';
+import { parseTaxonFile, withCommonRoot, showImportReport, showImportFailure } from './importData.js';
+import { getCurrentTree } from './currentTree.js';
+import { escapeHtml } from './html.js';
+
+// Display order, colors and labels shared by the tree styling (index.css) and the report
+export const DIFF_STATUSES = ['added', 'removed', 'moved', 'renamed'];
+export const DIFF_COLORS = {
+  added: '#16a34a',
+  removed: '#dc2626',
+  moved: '#2563eb',
+  renamed: '#d97706'
+};
+const DIFF_LABELS = {
+  added: 'Added',
+  removed: 'Removed',
+  moved: 'Moved',
+  renamed: 'Renamed'
+};
+const MAX_LISTED_CHANGES = 200; // Per category, to keep the panel responsive
+
+/**
+ * Map every node ID below the root to its parent node
+ */
+function parentIndex(root) {
+  const parents = new Map();
+  (function visit(n) {
+    (n.children || []).forEach(c => {
+      parents.set(c.id, n);
+      visit(c);
+    });
+  })(root);
+  return parents;
+}
+
+// Whether all IDs of a snapshot were generated by the import (Newick, NEXUS)
+function hasGeneratedIds(rows) {
+  return rows.length > 0 && rows.every(r => r.ids_root_to_leaf.every(id => id < 0));
+}
+
+/**
+ * Give both snapshots the same generated ID for the same name path
+ * @param {Array} oldRows - Normalized rows of the earlier snapshot
+ * @param {Array} newRows - Normalized rows of the later snapshot
+ * @returns {Array} [oldRows, newRows] with IDs replaced
+ */
+function idsByNamePath(oldRows, newRows) {
+  const idOfPath = new Map(); // Names joined by \u0001 -> ID
+  const remap = r => {
+    const ids = r.names_root_to_leaf.map((name, i) => {
+      const key = r.names_root_to_leaf.slice(0, i + 1).join('\u0001');
+      if (!idOfPath.has(key)) idOfPath.set(key, -(idOfPath.size + 1));
+      return idOfPath.get(key);
+    });
+    return { ...r, taxonid: ids[ids.length - 1], ids_root_to_leaf: ids };
+  };
+  return [oldRows.map(remap), newRows.map(remap)];
+}
+
+/**
+ * Compare two snapshots by taxon ID (by name path when either side has only generated IDs)
+ * @param {Array} oldRows - Path rows of the earlier snapshot
+ * @param {Array} newRows - Path rows of the later snapshot
+ * @returns {Object} { rootId, rootName, mergedRows, status: Map(id -> status), changes: { added, removed, moved, renamed }, matchedBy: 'id' | 'namePath' }
+ */
+export function diffSnapshots(oldRows, newRows) {
+  let oldNormalized = normalizeRows(oldRows);
+  let newNormalized = normalizeRows(newRows);
+  const matchedBy = hasGeneratedIds(oldNormalized) || hasGeneratedIds(newNormalized) ? 'namePath' : 'id';
+  if (matchedBy === 'namePath') [oldNormalized, newNormalized] = idsByNamePath(oldNormalized, newNormalized);
+
+  // Tag rows so one shared root can be chosen for both snapshots
+  const tagged = withCommonRoot([
+    ...oldNormalized.map(r => ({ ...r, snapshot: 'old' })),
+    ...newNormalized.map(r => ({ ...r, snapshot: 'new' }))
+  ]);
+  const oldSide = tagged.filter(r => r.snapshot === 'old');
+  const newSide = tagged.filter(r => r.snapshot === 'new');
+  const rootRow = newSide[0] || oldSide[0];
+  const rootId = rootRow ? rootRow.ids_root_to_leaf[0] : null;
+  const rootName = rootRow ? rootRow.names_root_to_leaf[0] || String(rootId) : '';
+
+  const oldTree = pathsToTree(oldSide, rootId, rootName);
+  const newTree = pathsToTree(newSide, rootId, rootName);
+  const oldParents = parentIndex(oldTree.root);
+  const newParents = parentIndex(newTree.root);
+
+  const changes = { added: [], removed: [], moved: [], renamed: [] };
+  const status = new Map();
+  const parentRef = p => (p ? { id: p.id, name: p.name } : null);
+
+  newParents.forEach((newParent, id) => {
+    const current = newTree.byId.get(id);
+    const previous = oldTree.byId.get(id);
+    if (!previous) {
+      changes.added.push({ id, name: current.name, newParent: parentRef(newParent) });
+      status.set(id, 'added');
+      return;
+    }
+    const oldParent = oldParents.get(id);
+    if (oldParent && oldParent.id !== newParent.id) {
+      changes.moved.push({ id, name: current.name, oldParent: parentRef(oldParent), newParent: parentRef(newParent) });
+      status.set(id, 'moved');
+    }
+    if (previous.name !== current.name) {
+      changes.renamed.push({ id, name: current.name, oldName: previous.name, newName: current.name });
+      if (!status.has(id)) status.set(id, 'renamed');
+    }
+  });
+  oldParents.forEach((oldParent, id) => {
+    if (newTree.byId.has(id)) return;
+    changes.removed.push({ id, name: oldTree.byId.get(id).name, oldParent: parentRef(oldParent) });
+    status.set(id, 'removed');
+  });
+  DIFF_STATUSES.forEach(key => changes[key].sort((a, b) => a.name.localeCompare(b.name)));
+
+  // pathsToTree reuses existing IDs, so appending the old rows only adds the removed taxa,
+  // each under its old parent; names come from the new snapshot because its rows come first
+  const mergedRows = [...newSide, ...oldSide].map(({ snapshot, ...row }) => row);
+
+  return { rootId, rootName, mergedRows, status, changes, matchedBy };
+}
+
+function describeChange(kind, c) {
+  switch (kind) {
+    case 'added': return c.newParent ? `in ${escapeHtml(c.newParent.name)}` : '';
+    case 'removed': return c.oldParent ? `was in ${escapeHtml(c.oldParent.name)}` : '';
+    case 'moved': return `${escapeHtml(c.oldParent.name)} → ${escapeHtml(c.newParent.name)}`;
+    case 'renamed': return `was ${escapeHtml(c.oldName)}`;
+    default: return '';
+  }
+}
+
+/**
+ * Show the change list with a color legend in the #info panel
+ * Clicking an entry focuses that taxon in the rendered comparison tree.
+ * @param {Object} diff - Result of diffSnapshots
+ * @param {Object} labels - { oldName, newName } shown in the header
+ */
+export function showDiffReport(diff, { oldName = 'Old', newName = 'New' } = {}) {
+  const panel = document.getElementById('info');
+  if (!panel) return;
+  const total = DIFF_STATUSES.reduce((sum, kind) => sum + diff.changes[kind].length, 0);
+
+  const legend = DIFF_STATUSES.map(kind => `
+    <span style="display:inline-flex;align-items:center;gap:4px;margin-right:12px;font-size:13px;">
+      <span style="width:14px;height:3px;background:${DIFF_COLORS[kind]};display:inline-block;"></span>
+      ${DIFF_LABELS[kind]} (${diff.changes[kind].length})
+    </span>
+  `).join('');
+
+  const sections = DIFF_STATUSES.filter(kind => diff.changes[kind].length).map(kind => {
+    const list = diff.changes[kind];
+    const shown = list.slice(0, MAX_LISTED_CHANGES);
+    const items = shown.map(c => `
+      <div class="diff-change" data-id="${c.id}" style="padding:3px 0;cursor:pointer;font-size:13px;">
+        <strong>${escapeHtml(c.name)}</strong>
+        <span style="color:#6b7280;">${describeChange(kind, c)}</span>
+      </div>
+    `).join('');
+    const more = list.length > shown.length ? `<div style="font-size:12px;color:#6b7280;">…and ${list.length - shown.length} more</div>` : '';
+    return `
+      <div style="margin-top:8px;padding-left:8px;border-left:3px solid ${DIFF_COLORS[kind]};">
+        <div style="font-weight:600;color:${DIFF_COLORS[kind]};">${DIFF_LABELS[kind]}</div>
+        ${items}${more}
+      </div>
+    `;
+  }).join('');
+
+  panel.innerHTML = `
+    <div style="font-weight:600;margin-bottom:6px;">Comparison: ${escapeHtml(oldName)} → ${escapeHtml(newName)}</div>
+    <div style="font-size:14px;color:#374151;margin-bottom:6px;">
+      ${total ? `${total} change${total === 1 ? '' : 's'}` : 'No differences found'}
+    </div>
+    ${diff.matchedBy === 'namePath' ? `
+      <div style="font-size:12px;color:#6b7280;margin-bottom:6px;">
+        Matched by name path (a snapshot has no taxon IDs): moved and renamed taxa are listed as removed and added.
+      </div>
+    ` : ''}
+    <div>${legend}</div>
+    <div style="max-height:320px;overflow-y:auto;">${sections}</div>
+  `;
+  panel.style.display = 'block';
+
+  panel.querySelectorAll('.diff-change').forEach(item => {
+    item.addEventListener('click', () => {
+      const tree = getCurrentTree();
+      if (tree) tree.focusById(Number(item.dataset.id));
+    });
+  });
+}
+
+/**
+ * Wire the Compare row: pick an old and a new snapshot file, then compare
+ * @param {Object} options - { onCompare(diff, { oldName, newName }) } called with the diff result (may be async);
+ *   read and compare failures are reported in #info
+ */
+export function setupCompare({ onCompare }) {
+  const compareBtn = document.getElementById('compareBtn');
+  if (!compareBtn) return;
+  const picked = { old: null, new: null };
+
+  ['old', 'new'].forEach(side => {
+    const key = side === 'old' ? 'Old' : 'New';
+    const button = document.getElementById(`compare${key}Btn`);
+    const input = document.getElementById(`compare${key}File`);
+    if (!button || !input) return;
+    button.addEventListener('click', () => input.click());
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      input.value = ''; // Allow picking the same file again
+      if (!file) return;
+      let result;
+      try {
+        result = parseTaxonFile(await file.text(), file.name);
+      } catch (error) {
+        showImportFailure(error, file.name, 'Compare');
+        return;
+      }
+      if (result.rows.length === 0 || result.errors.length) showImportReport(result, file.name);
+      if (result.rows.length === 0) return;
+      picked[side] = { result, name: file.name };
+      button.textContent = `${key}: ${file.name}`;
+      button.title = `${result.rows.length} taxa`;
+      compareBtn.disabled = !(picked.old && picked.new);
+    });
+  });
+
+  compareBtn.addEventListener('click', async () => {
+    if (!picked.old || !picked.new) return;
+    try {
+      const diff = diffSnapshots(picked.old.result.rows, picked.new.result.rows);
+      await onCompare(diff, { oldName: picked.old.name, newName: picked.new.name });
+    } catch (error) {
+      showImportFailure(error, `${picked.old.name} → ${picked.new.name}`, 'Compare');
+    }
+  });
+}
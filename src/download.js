@@ -0,0 +1,40 @@
+// Download helpers shared by the export features
+// Usage:
+//   downloadBlob(blob, 'tree.png');
+//   downloadText(svgString, 'tree.svg', 'image/svg+xml');
+
+/**
+ * Save a Blob as a file through a temporary link
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // Revoke later so the browser has started reading the object URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Save a string as a file
+ * @param {string} text - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+export function downloadText(text, filename, type = 'text/plain') {
+  downloadBlob(new Blob([text], { type: `${type};charset=utf-8` }), filename);
+}
+
+/**
+ * Turn a taxon name into a safe file name stem
+ * @param {string} name - Taxon or group name
+ * @returns {string} Lowercase name with unsafe characters replaced
+ */
+export function fileStem(name) {
+  return String(name || 'tree').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'tree';
+}
@@ -0,0 +1,279 @@
+// Color-by and size-by encodings for the nodes and links of the rendered tree
+// Nodes (and the links leading to them) can be colored by taxon group, synonym status,
+// depth, grouping key or a numeric column of the rows (kept on the nodes as data.fields,
+// see pathsToTree in data.js). Categories use the chosen categorical palette, numbers the
+// chosen continuous one; the Okabe-Ito and cividis palettes are colorblind-safe. Node
+// radius and link width can follow the number of leaves below a node or a numeric column.
+// A legend for both is drawn in #encodingLegend.
+// Usage:
+//   renderMammalTree({ ..., encodings: getEncodings() });         // the default
+//   const encoding = createEncoding(root, encodings);             // { nodeColor, linkColor, nodeRadius, linkWidth, ... }
+//   showEncodingLegend(encoding);
+//   setEncodingFields(numericFieldNames(root));                   // offer the columns of this tree
+//   setupEncodingControls({ onChange: () => { ... } });           // re-render
+
+import { isSynonymsReady, getSynonymInfo } from './synonyms.js';
+import { synonymRecordOf } from './synonymFilter.js';
+import { escapeHtml } from './html.js';
+
+const FIELD_PREFIX = 'field:'; // Option values of numeric columns, e.g. 'field:mass'
+
+export const COLOR_BY = {
+  none: 'Default',
+  taxagroupid: 'Taxon group',
+  synonym: 'Synonym status',
+  depth: 'Depth',
+  group: 'Group'
+};
+
+export const SIZE_BY = {
+  none: 'Uniform',
+  leaves: 'Leaf count'
+};
+
+// Okabe & Ito (2008), distinguishable with the common color vision deficiencies
+const OKABE_ITO = ['#E69F00', '#56B4E9', '#009E73', '#F0E442', '#0072B2', '#D55E00', '#CC79A7', '#000000'];
+
+// Looked up when a tree is rendered (d3 is loaded by the page)
+export const CATEGORICAL_PALETTES = {
+  okabeIto: { label: 'Okabe-Ito (colorblind-safe)', colors: () => OKABE_ITO },
+  tableau10: { label: 'Tableau 10', colors: () => d3.schemeTableau10 },
+  set2: { label: 'Set 2', colors: () => d3.schemeSet2 },
+  paired: { label: 'Paired', colors: () => d3.schemePaired }
+};
+
+export const CONTINUOUS_PALETTES = {
+  viridis: { label: 'Viridis (colorblind-safe)', interpolator: () => d3.interpolateViridis },
+  cividis: { label: 'Cividis (colorblind-safe)', interpolator: () => d3.interpolateCividis },
+  magma: { label: 'Magma', interpolator: () => d3.interpolateMagma },
+  blues: { label: 'Blues', interpolator: () => d3.interpolateBlues }
+};
+
+const NODE_RADIUS = 2.2; // Default dot radius, as drawn by renderMammalTree
+const RADIUS_RANGE = [1.5, 9];
+const WIDTH_RANGE = [0.6, 6];
+const LEGEND_CATEGORIES = 12; // Largest categories listed in the legend
+
+let current = { color: 'none', size: 'none', categorical: 'okabeIto', continuous: 'viridis' };
+
+/**
+ * Encodings used for new renders
+ * @returns {Object} { color, size, categorical, continuous }
+ */
+export function getEncodings() {
+  return { ...current };
+}
+
+/**
+ * Names of the numeric columns carried by the nodes of a tree
+ * @param {Object} root - d3.hierarchy root
+ * @returns {string[]} Sorted field names
+ */
+export function numericFieldNames(root) {
+  const names = new Set();
+  root.each(d => Object.keys(d.data.fields || {}).forEach(name => names.add(name)));
+  return [...names].sort();
+}
+
+function fieldName(key) {
+  return key.startsWith(FIELD_PREFIX) ? key.slice(FIELD_PREFIX.length) : null;
+}
+
+function encodingLabel(key, labels) {
+  return labels[key] || fieldName(key) || key;
+}
+
+// Value of an attribute for a node: { value, categorical } (value null when the node has none)
+function attribute(key, leafCounts) {
+  const field = fieldName(key);
+  if (field) return { categorical: false, value: d => d.data.fields?.[field] ?? null };
+  switch (key) {
+    case 'taxagroupid': return { categorical: true, value: d => d.data.taxagroupid || null };
+    case 'synonym': return {
+      categorical: true,
+      value: d => {
+        if (synonymRecordOf(d)) return 'Synonym';
+        const info = isSynonymsReady() ? getSynonymInfo(d.data.id) : null;
+        return info && info.synonyms.length ? 'Valid, with synonyms' : 'Valid';
+      }
+    };
+    case 'depth': return { categorical: false, value: d => d.depth };
+    case 'group': return { categorical: true, value: d => d._groupKey || null };
+    case 'leaves': return { categorical: false, value: d => leafCounts.get(d) };
+    default: return null;
+  }
+}
+
+// Square root scale for sizes (linear when values go below zero)
+function sizeScale(values, range) {
+  const [min, max] = d3.extent(values);
+  const scale = min < 0 ? d3.scaleLinear() : d3.scaleSqrt();
+  return scale.domain([min < 0 ? min : 0, max || 1]).range(min < 0 ? range : [0, range[1]]).clamp(true);
+}
+
+/**
+ * Build the color and size encodings for a rendered tree
+ * @param {Object} root - d3.hierarchy root (leaves carry _groupKey)
+ * @param {Object} encodings - { color, size, categorical, continuous } from getEncodings
+ * @returns {Object} { nodeColor(d), linkColor(l), nodeRadius(d), linkWidth(l), color, size }
+ *   colors are null for the default; color / size describe the legend (null when unused)
+ */
+export function createEncoding(root, { color = 'none', size = 'none', categorical = 'okabeIto', continuous = 'viridis' } = {}) {
+  const nodes = root.descendants();
+  const leafCounts = new Map();
+  root.eachAfter(d => {
+    leafCounts.set(d, d.children ? d.children.reduce((sum, c) => sum + leafCounts.get(c), 0) : 1);
+  });
+
+  let nodeColor = () => null;
+  let colorLegend = null;
+  const colorAttr = color === 'none' ? null : attribute(color, leafCounts);
+  if (colorAttr) {
+    const values = new Map(nodes.map(d => [d, colorAttr.value(d)]));
+    const present = [...values.values()].filter(v => v !== null && v !== undefined);
+    if (colorAttr.categorical) {
+      // Largest categories first, so they get the first (most distinct) colors
+      const counts = d3.rollup(present, v => v.length, v => v);
+      const categories = [...counts].sort((a, b) => b[1] - a[1]).map(([category]) => category);
+      const scale = d3.scaleOrdinal((CATEGORICAL_PALETTES[categorical] || CATEGORICAL_PALETTES.okabeIto).colors())
+        .domain(categories);
+      nodeColor = d => (values.get(d) == null ? null : scale(values.get(d)));
+      colorLegend = {
+        label: encodingLabel(color, COLOR_BY),
+        categories: categories.map(category => ({ category, color: scale(category), count: counts.get(category) }))
+      };
+    } else if (present.length) {
+      const interpolator = (CONTINUOUS_PALETTES[continuous] || CONTINUOUS_PALETTES.viridis).interpolator();
+      const scale = d3.scaleSequential(interpolator).domain(d3.extent(present));
+      nodeColor = d => (values.get(d) == null ? null : scale(values.get(d)));
+      colorLegend = { label: encodingLabel(color, COLOR_BY), domain: scale.domain(), interpolator };
+    }
+  }
+
+  let nodeRadius = () => NODE_RADIUS;
+  let linkWidth = () => null;
+  let sizeLegend = null;
+  const sizeAttr = size === 'none' ? null : attribute(size, leafCounts);
+  if (sizeAttr && !sizeAttr.categorical) {
+    const values = new Map(nodes.map(d => [d, sizeAttr.value(d)]));
+    const present = [...values.values()].filter(v => v !== null && v !== undefined);
+    if (present.length) {
+      const radius = sizeScale(present, RADIUS_RANGE);
+      const width = sizeScale(present, WIDTH_RANGE);
+      nodeRadius = d => (values.get(d) == null ? NODE_RADIUS : Math.max(RADIUS_RANGE[0], radius(values.get(d))));
+      linkWidth = l => (values.get(l.target) == null ? null : Math.max(WIDTH_RANGE[0], width(values.get(l.target))));
+      sizeLegend = { label: encodingLabel(size, SIZE_BY), domain: d3.extent(present), radius };
+    }
+  }
+
+  return {
+    nodeColor,
+    linkColor: l => nodeColor(l.target),
+    nodeRadius,
+    linkWidth,
+    color: colorLegend,
+    size: sizeLegend
+  };
+}
+
+function formatValue(value) {
+  return Number.isInteger(value) ? String(value) : d3.format('.3~g')(value);
+}
+
+/**
+ * Draw the legend of an encoding in #encodingLegend (hidden when nothing is encoded)
+ * @param {Object} encoding - From createEncoding
+ */
+export function showEncodingLegend(encoding) {
+  const legend = document.getElementById('encodingLegend');
+  if (!legend) return;
+  const parts = [];
+  const { color, size } = encoding;
+  if (color && color.categories) {
+    const shown = color.categories.slice(0, LEGEND_CATEGORIES);
+    const more = color.categories.length - shown.length;
+    parts.push(`
+      <div class="encoding-legend-title">Color: ${escapeHtml(color.label)}</div>
+      <div class="encoding-legend-categories">
+        ${shown.map(c => `
+          <span class="encoding-legend-category" title="${escapeHtml(c.category)}: ${c.count} nodes">
+            <span class="encoding-legend-swatch" style="background:${c.color};"></span>${escapeHtml(c.category)}
+          </span>`).join('')}
+        ${more > 0 ? `<span class="encoding-legend-more">+${more} more (colors repeat)</span>` : ''}
+      </div>`);
+  } else if (color) {
+    const stops = d3.range(0, 1.01, 0.1).map(t => color.interpolator(t)).join(', ');
+    parts.push(`
+      <div class="encoding-legend-title">Color: ${escapeHtml(color.label)}</div>
+      <div class="encoding-legend-ramp">
+        <span>${formatValue(color.domain[0])}</span>
+        <span class="encoding-legend-gradient" style="background:linear-gradient(to right, ${stops});"></span>
+        <span>${formatValue(color.domain[1])}</span>
+      </div>`);
+  }
+  if (size) {
+    const [min, max] = size.domain;
+    const dot = value => {
+      const r = Math.max(RADIUS_RANGE[0], size.radius(value));
+      return `<svg width="${2 * r + 2}" height="${2 * r + 2}" aria-hidden="true"><circle cx="${r + 1}" cy="${r + 1}" r="${r}"></circle></svg>`;
+    };
+    parts.push(`
+      <div class="encoding-legend-title">Size: ${escapeHtml(size.label)}</div>
+      <div class="encoding-legend-ramp">
+        ${dot(min)}<span>${formatValue(min)}</span>
+        ${dot(max)}<span>${formatValue(max)}</span>
+      </div>`);
+  }
+  legend.hidden = !parts.length;
+  legend.innerHTML = parts.join('');
+}
+
+function fillSelect(select, labels, fields) {
+  const options = Object.entries(labels).map(([value, label]) => `<option value="${value}">${label}</option>`);
+  if (fields.length) {
+    options.push(`<optgroup label="Columns">${fields
+      .map(name => `<option value="${FIELD_PREFIX}${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+      .join('')}</optgroup>`);
+  }
+  select.innerHTML = options.join('');
+}
+
+/**
+ * Offer the numeric columns of the rendered tree in #colorBySelect and #sizeBySelect
+ * A chosen column the tree does not have stays chosen (and encodes nothing) until changed.
+ * @param {string[]} fields - From numericFieldNames
+ */
+export function setEncodingFields(fields) {
+  [['colorBySelect', COLOR_BY, 'color'], ['sizeBySelect', SIZE_BY, 'size']].forEach(([id, labels, key]) => {
+    const select = document.getElementById(id);
+    if (!select) return;
+    const names = fieldName(current[key]) && !fields.includes(fieldName(current[key])) ? [...fields, fieldName(current[key])] : fields;
+    fillSelect(select, labels, names);
+    select.value = current[key];
+  });
+}
+
+/**
+ * Wire #colorBySelect, #sizeBySelect, #categoricalPaletteSelect and #continuousPaletteSelect
+ * @param {Object} options - { onChange(encodings) } re-renders the tree with the new encodings
+ */
+export function setupEncodingControls({ onChange }) {
+  const selects = {
+    color: document.getElementById('colorBySelect'),
+    size: document.getElementById('sizeBySelect'),
+    categorical: document.getElementById('categoricalPaletteSelect'),
+    continuous: document.getElementById('continuousPaletteSelect')
+  };
+  if (Object.values(selects).some(select => !select)) return;
+  setEncodingFields([]);
+  [['categorical', CATEGORICAL_PALETTES], ['continuous', CONTINUOUS_PALETTES]].forEach(([key, palettes]) => {
+    selects[key].innerHTML = Object.entries(palettes)
+      .map(([value, palette]) => `<option value="${value}">${palette.label}</option>`)
+      .join('');
+    selects[key].value = current[key];
+  });
+  Object.entries(selects).forEach(([key, select]) => select.addEventListener('change', () => {
+    current = { ...current, [key]: select.value };
+    onChange(getEncodings());
+  }));
+}
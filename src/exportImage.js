@@ -0,0 +1,203 @@
+// Export the rendered dendrogram as a standalone SVG or PNG file
+// The live SVG is styled by index.css, so the export inlines the computed styles
+// of every element (including .highlight / .highlight-synonym and focus labels)
+// and keeps the current rotate/zoom transforms of the viewport and rotator groups.
+// Usage:
+//   setupImageExport();                 // wire #exportSvgBtn, #exportPngBtn, #exportDpi
+//   const svgText = serializeTreeSvg(getCurrentTree().svg.node());
+//   const pngBlob = await rasterizeTreeSvg(getCurrentTree().svg.node(), 300);
+
+import { getCurrentTree } from './currentTree.js';
+import { downloadBlob, downloadText, fileStem } from './download.js';
+import { showImportFailure } from './importData.js';
+
+// Presentation properties copied from computed styles onto the exported elements
+const STYLE_PROPERTIES = [
+  'fill',
+  'fill-opacity',
+  'stroke',
+  'stroke-width',
+  'stroke-opacity',
+  'stroke-linejoin',
+  'stroke-linecap',
+  'stroke-dasharray',
+  'opacity',
+  'font-family',
+  'font-size',
+  'font-weight',
+  'font-style',
+  'text-decoration',
+  'paint-order',
+  'text-anchor',
+  'dominant-baseline',
+  'visibility'
+];
+
+const CSS_DPI = 96; // Browser pixels are defined at 96 per inch
+
+/**
+ * Serialize a rendered tree SVG with inlined styles
+ * @param {SVGSVGElement} svgElement - The live SVG in #chart
+ * @param {Object} options - { background: fill color or null for transparent }
+ * @returns {string} Standalone SVG document
+ */
+export function serializeTreeSvg(svgElement, { background = '#ffffff' } = {}) {
+  const clone = svgElement.cloneNode(true);
+  const liveNodes = [svgElement, ...svgElement.querySelectorAll('*')];
+  const cloneNodes = [clone, ...clone.querySelectorAll('*')];
+
+  // Walk both trees in document order; drop hidden elements (culled labels) to keep files small
+  const hidden = [];
+  liveNodes.forEach((live, i) => {
+    const copy = cloneNodes[i];
+    const computed = window.getComputedStyle(live);
+    if (computed.display === 'none') {
+      hidden.push(copy);
+      return;
+    }
+    const inline = STYLE_PROPERTIES
+      .map(prop => [prop, computed.getPropertyValue(prop)])
+      .filter(([, value]) => value && value !== 'normal' && value !== 'auto')
+      .map(([prop, value]) => `${prop}:${value}`)
+      .join(';');
+    if (inline) copy.setAttribute('style', inline);
+  });
+  hidden.forEach(el => el.remove());
+
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('version', '1.1');
+  const viewBox = svgElement.viewBox.baseVal;
+  // Canvas mode: links and node dots have no SVG elements, so the canvas goes in as an image
+  const canvas = svgElement.classList.contains('canvas-mode') && svgElement.parentNode.querySelector('canvas.tree-canvas');
+  if (canvas) {
+    const image = document.createElementNS('http://www.w3.org/2000/svg', 'image');
+    image.setAttribute('x', viewBox.x);
+    image.setAttribute('y', viewBox.y);
+    image.setAttribute('width', viewBox.width);
+    image.setAttribute('height', viewBox.height);
+    image.setAttribute('href', canvas.toDataURL('image/png'));
+    clone.insertBefore(image, clone.firstChild);
+  }
+  if (background) {
+    const bg = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    bg.setAttribute('x', viewBox.x);
+    bg.setAttribute('y', viewBox.y);
+    bg.setAttribute('width', viewBox.width);
+    bg.setAttribute('height', viewBox.height);
+    bg.setAttribute('fill', background);
+    clone.insertBefore(bg, clone.firstChild);
+  }
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone);
+}
+
+/**
+ * Rasterize a rendered tree SVG to PNG at the given resolution
+ * @param {SVGSVGElement} svgElement - The live SVG in #chart
+ * @param {number} dpi - Output resolution in dots per inch
+ * @returns {Promise<Blob>} PNG image with its pHYs chunk set to the DPI
+ */
+export async function rasterizeTreeSvg(svgElement, dpi = 300) {
+  const svgText = serializeTreeSvg(svgElement);
+  const url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml;charset=utf-8' }));
+  try {
+    const img = await new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error('Failed to load SVG for rasterization'));
+      image.src = url;
+    });
+    const scale = dpi / CSS_DPI;
+    const width = Number(svgElement.getAttribute('width')) || svgElement.viewBox.baseVal.width;
+    const height = Number(svgElement.getAttribute('height')) || svgElement.viewBox.baseVal.height;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    const png = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    // toBlob yields null when the browser cannot allocate the canvas (too many pixels)
+    if (!png) throw new Error(`The ${canvas.width}×${canvas.height} px image is too large for this browser; try a lower DPI`);
+    return setPngDpi(png, dpi);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Insert a pHYs chunk so image editors and publishers read the intended DPI
+ * @param {Blob} png - PNG blob from canvas.toBlob
+ * @param {number} dpi - Resolution in dots per inch
+ * @returns {Promise<Blob>} PNG blob with resolution metadata
+ */
+async function setPngDpi(png, dpi) {
+  const bytes = new Uint8Array(await png.arrayBuffer());
+  // Signature (8 bytes) + IHDR chunk (4 length + 4 type + 13 data + 4 crc)
+  const insertAt = 8 + 25;
+  const pixelsPerMeter = Math.round(dpi / 0.0254);
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // 'pHYs'
+  view.setUint32(8, pixelsPerMeter);
+  view.setUint32(12, pixelsPerMeter);
+  chunk[16] = 1; // Unit: meter
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+  return new Blob([bytes.subarray(0, insertAt), chunk, bytes.subarray(insertAt)], { type: 'image/png' });
+}
+
+let crcTable = null;
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Wire the export buttons in the controls panel to the current tree
+ */
+export function setupImageExport() {
+  const svgBtn = document.getElementById('exportSvgBtn');
+  const pngBtn = document.getElementById('exportPngBtn');
+  const dpiSelect = document.getElementById('exportDpi');
+
+  function renderedTree() {
+    const tree = getCurrentTree();
+    if (!tree || !tree.svg) {
+      console.warn('Export: no tree is rendered');
+      return null;
+    }
+    return tree;
+  }
+
+  if (svgBtn) {
+    svgBtn.addEventListener('click', () => {
+      const tree = renderedTree();
+      if (!tree) return;
+      const name = fileStem(tree.root.data.name);
+      downloadText(serializeTreeSvg(tree.svg.node()), `${name}.svg`, 'image/svg+xml');
+    });
+  }
+
+  if (pngBtn) {
+    pngBtn.addEventListener('click', async () => {
+      const tree = renderedTree();
+      if (!tree) return;
+      const dpi = Number(dpiSelect ? dpiSelect.value : 300) || 300;
+      const filename = `${fileStem(tree.root.data.name)}-${dpi}dpi.png`;
+      try {
+        downloadBlob(await rasterizeTreeSvg(tree.svg.node(), dpi), filename);
+      } catch (error) {
+        showImportFailure(error, filename, 'PNG export');
+      }
+    });
+  }
+}
@@ -0,0 +1,212 @@
+// Export the currently rendered hierarchy for phylogenetics tools and spreadsheets
+// Formats:
+//   newick - single tree string, names quoted when they contain spaces, parentheses, ...
+//   nexus  - TAXA block (leaf labels) + TREES block with the Newick tree; labels of leaves
+//            that share a name (homonyms, a synonym spelled like a valid name) get their ID
+//   csv    - one row per taxon: taxonid, taxonname, ids_root_to_leaf, names_root_to_leaf, taxagroupid
+//   json   - the same rows as an array (accepted by normalizeRows in data.js)
+// Synonym nodes added by addMissingSynonyms (isSynonym: true) are marked or excluded.
+// Synonyms merged into badges (synonym mode 'merged') are exported like those nodes, as
+// siblings of their valid taxon, so the file does not depend on the display mode.
+// Usage:
+//   const text = exportHierarchy(getCurrentTree().root, 'newick', { synonyms: 'mark' });
+//   setupTreeExport();   // wire #exportTreeFormat, #exportTreeSynonyms, #exportTreeBtn
+
+import { getCurrentTree } from './currentTree.js';
+import { downloadText, fileStem } from './download.js';
+
+export const TREE_EXPORT_FORMATS = {
+  newick: { extension: 'nwk', type: 'text/plain' },
+  nexus: { extension: 'nex', type: 'text/plain' },
+  csv: { extension: 'csv', type: 'text/csv' },
+  json: { extension: 'json', type: 'application/json' }
+};
+
+/**
+ * Quote a label for Newick/NEXUS if it contains characters with syntactic meaning
+ * @param {string} name - Taxon name
+ * @returns {string} Bare or single-quoted label
+ */
+export function quoteNewickLabel(name) {
+  const label = String(name ?? '');
+  if (label && !/[\s()[\]':;,]/.test(label)) return label;
+  return `'${label.replace(/'/g, "''")}'`;
+}
+
+const mergedNodes = new WeakMap(); // Valid node -> export nodes of its merged synonyms
+
+// Merged synonyms of a node as leaf nodes shaped like those of addMissingSynonyms
+function mergedSynonymNodes(d) {
+  if (!mergedNodes.has(d)) {
+    mergedNodes.set(d, (d.data.mergedSynonyms || []).map(syn => ({
+      data: { ...syn, isSynonym: true, validId: d.data.id, taxagroupid: d.data.taxagroupid },
+      children: null
+    })));
+  }
+  return mergedNodes.get(d);
+}
+
+/**
+ * Children of a hierarchy node after applying the synonym option
+ */
+function exportedChildren(d, synonyms) {
+  const children = d.children || [];
+  if (synonyms === 'exclude') return children.filter(c => !c.data.isSynonym);
+  return children.flatMap(c => [c, ...mergedSynonymNodes(c)]);
+}
+
+// NEXUS labels must be unique (ignoring case, with _ read as a space): leaves sharing a
+// name are labelled "Name (ID)"
+function uniqueLeafLabels(leaves) {
+  const key = label => label.toLowerCase().replace(/_/g, ' ');
+  const counts = new Map();
+  leaves.forEach(d => counts.set(key(d.data.name), (counts.get(key(d.data.name)) || 0) + 1));
+  const used = new Set();
+  const labels = new Map();
+  leaves.forEach(d => {
+    const name = String(d.data.name);
+    let label = counts.get(key(name)) > 1 ? `${name} (${d.data.id})` : name;
+    for (let n = 2; used.has(key(label)); n++) label = `${name} (${d.data.id}, ${n})`;
+    used.add(key(label));
+    labels.set(d, label);
+  });
+  return labels;
+}
+
+/**
+ * Build a Newick string for a d3.hierarchy subtree
+ * @param {Object} root - d3.hierarchy node
+ * @param {Object} options - { synonyms: 'mark' | 'exclude', leafLabels: Map of leaf -> label (default: names) }
+ * @returns {string} Newick tree terminated by ';'
+ */
+export function toNewick(root, { synonyms = 'mark', leafLabels = null } = {}) {
+  function write(d) {
+    const children = exportedChildren(d, synonyms);
+    let label = quoteNewickLabel(leafLabels && leafLabels.has(d) ? leafLabels.get(d) : d.data.name);
+    if (synonyms === 'mark' && d.data.isSynonym) {
+      label += `[&synonym=true,valid_id=${d.data.validId}]`;
+    }
+    if (!children.length) return label;
+    return `(${children.map(write).join(',')})${label}`;
+  }
+  return `${write(root)};`;
+}
+
+/**
+ * Build a NEXUS document with a TAXA and a TREES block
+ * @param {Object} root - d3.hierarchy node
+ * @param {Object} options - { synonyms: 'mark' | 'exclude' }
+ * @returns {string} NEXUS document
+ */
+export function toNexus(root, { synonyms = 'mark' } = {}) {
+  const leaves = [];
+  (function collect(d) {
+    const children = exportedChildren(d, synonyms);
+    if (!children.length) leaves.push(d);
+    children.forEach(collect);
+  })(root);
+
+  const leafLabels = uniqueLeafLabels(leaves);
+  const treeName = quoteNewickLabel(root.data.name);
+  return [
+    '#NEXUS',
+    '',
+    'BEGIN TAXA;',
+    `  DIMENSIONS NTAX=${leaves.length};`,
+    '  TAXLABELS',
+    ...leaves.map(d => `    ${quoteNewickLabel(leafLabels.get(d))}`),
+    '  ;',
+    'END;',
+    '',
+    'BEGIN TREES;',
+    `  TREE ${treeName} = [&R] ${toNewick(root, { synonyms, leafLabels })}`,
+    'END;',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Flatten a hierarchy into path rows (the shape normalizeRows accepts)
+ * @param {Object} root - d3.hierarchy node
+ * @param {Object} options - { synonyms: 'mark' | 'exclude' }
+ * @returns {Array} Rows with array-valued ids_root_to_leaf / names_root_to_leaf
+ */
+export function toPathRows(root, { synonyms = 'mark' } = {}) {
+  const rows = [];
+  (function visit(d, ids, names) {
+    const pathIds = [...ids, d.data.id];
+    const pathNames = [...names, d.data.name];
+    const row = {
+      taxonid: d.data.id,
+      taxonname: d.data.name,
+      ids_root_to_leaf: pathIds,
+      names_root_to_leaf: pathNames,
+      taxagroupid: d.data.taxagroupid || ''
+    };
+    if (synonyms === 'mark') {
+      row.is_synonym = !!d.data.isSynonym;
+      row.valid_id = d.data.isSynonym ? d.data.validId : '';
+    }
+    rows.push(row);
+    exportedChildren(d, synonyms).forEach(c => visit(c, pathIds, pathNames));
+  })(root, [], []);
+  return rows;
+}
+
+function csvCell(value) {
+  const text = Array.isArray(value) ? JSON.stringify(value) : String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows as CSV (array columns are written as JSON arrays)
+ * @param {Array} rows - Row objects with identical keys
+ * @returns {string} CSV text with a header line
+ */
+export function rowsToCsv(rows) {
+  if (!rows.length) return '';
+  const columns = Object.keys(rows[0]);
+  const lines = [columns.join(',')];
+  rows.forEach(row => lines.push(columns.map(col => csvCell(row[col])).join(',')));
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Export a hierarchy in one of TREE_EXPORT_FORMATS
+ * @param {Object} root - d3.hierarchy node
+ * @param {string} format - 'newick' | 'nexus' | 'csv' | 'json'
+ * @param {Object} options - { synonyms: 'mark' | 'exclude' }
+ * @returns {string} File contents
+ */
+export function exportHierarchy(root, format, options = {}) {
+  switch (format) {
+    case 'newick': return toNewick(root, options) + '\n';
+    case 'nexus': return toNexus(root, options);
+    case 'csv': return rowsToCsv(toPathRows(root, options));
+    case 'json': return JSON.stringify(toPathRows(root, options), null, 2);
+    default: throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+/**
+ * Wire the tree export controls to the current tree
+ */
+export function setupTreeExport() {
+  const formatSelect = document.getElementById('exportTreeFormat');
+  const synonymSelect = document.getElementById('exportTreeSynonyms');
+  const exportBtn = document.getElementById('exportTreeBtn');
+  if (!exportBtn) return;
+
+  exportBtn.addEventListener('click', () => {
+    const tree = getCurrentTree();
+    if (!tree) {
+      console.warn('Export: no tree is rendered');
+      return;
+    }
+    const format = formatSelect ? formatSelect.value : 'newick';
+    const synonyms = synonymSelect ? synonymSelect.value : 'mark';
+    const { extension, type } = TREE_EXPORT_FORMATS[format];
+    const text = exportHierarchy(tree.root, format, { synonyms });
+    downloadText(text, `${fileStem(tree.root.data.name)}.${extension}`, type);
+  });
+}
@@ -0,0 +1,100 @@
+// Typo-tolerant name matching and relevance scoring for the taxon search
+// A name matches a query exactly, as a prefix, at the start of one of its words, as a
+// substring, or within a bounded edit distance (Levenshtein) of the whole name, its
+// leading characters or one of its words. Each kind has a base score; names close to the
+// query's length score slightly higher within a kind.
+// Usage:
+//   matchName('Peromyscus', 'peromyscis');   // { kind: 'typo', distance: 1, score: 31 }
+//   matchName('Mus musculus', 'mus', 0);     // { kind: 'prefix', distance: 0, score: 80.1 }
+//   editDistance('kitten', 'sitting', 2);    // 3 (anything above the bound is bound + 1)
+
+export const MATCH_SCORES = {
+  exact: 100,
+  prefix: 80,
+  word: 70,
+  substring: 50,
+  typo: 40 // Minus TYPO_PENALTY per edit
+};
+const TYPO_PENALTY = 10;
+
+// Labels for the results list
+export const MATCH_LABELS = {
+  exact: 'exact',
+  prefix: 'prefix',
+  word: 'word',
+  substring: 'contains',
+  typo: 'similar'
+};
+
+/**
+ * Number of edits allowed for a query
+ * @param {string} query - Search text
+ * @param {string|number} tolerance - 'auto' (by query length) or a number of edits
+ * @returns {number} Maximum edit distance
+ */
+export function toleranceFor(query, tolerance = 'auto') {
+  if (tolerance === 'auto') {
+    if (query.length < 4) return 0;
+    return query.length < 8 ? 1 : 2;
+  }
+  return Math.max(0, Math.floor(Number(tolerance) || 0));
+}
+
+/**
+ * Levenshtein distance, giving up once it exceeds max
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - Bound on the distance of interest
+ * @returns {number} Distance, or max + 1 if it is larger than max
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (current[j] < rowMin) rowMin = current[j];
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Match a taxon name against a query
+ * @param {string} name - Taxon name
+ * @param {string} query - Search text
+ * @param {string|number} tolerance - 'auto' or the number of edits allowed (0 disables typo matching)
+ * @returns {Object|null} { kind, distance, score } or null if the name does not match
+ */
+export function matchName(name, query, tolerance = 'auto') {
+  const n = String(name || '').toLowerCase();
+  const q = String(query || '').trim().toLowerCase();
+  if (!n || !q) return null;
+
+  // 0..1: names barely longer than the query rank first within a kind
+  const closeness = Math.max(0, 10 - Math.abs(n.length - q.length)) / 10;
+  const result = (kind, distance = 0) => ({
+    kind,
+    distance,
+    score: MATCH_SCORES[kind] - TYPO_PENALTY * distance + closeness
+  });
+
+  if (n === q) return result('exact');
+  if (n.startsWith(q)) return result('prefix');
+  const words = n.split(/[\s\-()]+/).filter(Boolean);
+  if (words.some(w => w.startsWith(q))) return result('word');
+  if (n.includes(q)) return result('substring');
+
+  const max = toleranceFor(q, tolerance);
+  if (!max) return null;
+  let best = max + 1;
+  [n, n.slice(0, q.length), ...words].forEach(candidate => {
+    if (best > 0) best = Math.min(best, editDistance(q, candidate, Math.min(max, best)));
+  });
+  return best <= max ? result('typo', best) : null;
+}
@@ -0,0 +1,210 @@
+// Search across every taxon group, not just the rendered tree
+// With "All groups" (#searchGlobal) checked, the search box looks up names and IDs in every
+// loaded row (allRows in index.html) and in the full synonym table. Hits are listed in #info
+// grouped by taxon group; choosing one calls onOpen, which switches to that group (or the
+// subtree containing the taxon) and focuses it there.
+// Usage (index.html, once):
+//   setupGlobalSearch({
+//     getRows: () => allRows,
+//     groupLabel: id => taxagroupNames[id] || id,
+//     onOpen: async hit => { ... }   // hit: { id, name, taxagroupid, pathIds, pathNames, focusId, synonymOf }
+//   });
+// search.js hands queries over while isGlobalSearch() is true.
+
+import { buildSearchIndex } from './searchIndex.js';
+import { MATCH_LABELS } from './fuzzyMatch.js';
+import { isSynonymsReady, getAllSynonymEntries } from './synonyms.js';
+import { escapeHtml } from './html.js';
+
+const HITS_PER_GROUP = 25;
+
+let options = null; // setupGlobalSearch options
+let entries = []; // One per taxon (or synonym) and group
+let index = null;
+let indexedRows = null; // Rows array and size the index was built from
+let indexedRowCount = 0;
+let indexedWithSynonyms = false;
+
+// Every taxon on a row path, once per group, plus synonym-table names missing from the rows
+function buildEntries(rows) {
+  const byKey = new Map(); // 'group:id' -> entry
+  rows.forEach(row => {
+    const ids = row.ids_root_to_leaf || [];
+    const names = row.names_root_to_leaf || [];
+    const group = row.taxagroupid || 'MAM';
+    ids.forEach((id, i) => {
+      const key = `${group}:${id}`;
+      if (id == null || byKey.has(key)) return;
+      byKey.set(key, {
+        id,
+        name: names[i] || String(id),
+        taxagroupid: group,
+        pathIds: ids.slice(0, i + 1),
+        pathNames: names.slice(0, i + 1),
+        focusId: id,
+        synonymOf: null
+      });
+    });
+  });
+
+  if (isSynonymsReady()) {
+    const seenIds = new Set([...byKey.values()].map(entry => entry.id));
+    getAllSynonymEntries().forEach(info => {
+      const group = info.taxagroupid || 'MAM';
+      // Opened at the valid taxon when that is in the data
+      const valid = byKey.get(`${group}:${info.validId}`) || null;
+      const related = [{ id: info.validId, name: info.validName, synonymOf: null }]
+        .concat(info.synonyms.map(syn => ({ id: syn.invalid_id, name: syn.invalid_name, synonymOf: info.validName })));
+      related.forEach(({ id, name, synonymOf }) => {
+        if (seenIds.has(id) || !name) return;
+        seenIds.add(id);
+        byKey.set(`${group}:${id}`, {
+          id,
+          name,
+          taxagroupid: group,
+          pathIds: valid ? valid.pathIds : [],
+          pathNames: valid ? valid.pathNames : [],
+          focusId: valid ? valid.id : null,
+          synonymOf
+        });
+      });
+    });
+  }
+  return [...byKey.values()];
+}
+
+// Rebuilt when rows are added (imports, comparisons) or synonyms finish loading
+function getIndex() {
+  const rows = options.getRows() || [];
+  if (!index || rows !== indexedRows || rows.length !== indexedRowCount || indexedWithSynonyms !== isSynonymsReady()) {
+    entries = buildEntries(rows);
+    index = buildSearchIndex(entries.map(entry => ({ data: entry })));
+    indexedRows = rows;
+    indexedRowCount = rows.length;
+    indexedWithSynonyms = isSynonymsReady();
+  }
+  return index;
+}
+
+/**
+ * Search every group
+ * @param {string} q - Name (typo-tolerant) or taxon ID
+ * @param {string|number} tolerance - 'auto' or a number of edits
+ * @returns {Array} [{ taxagroupid, hits: [{ entry, match }] }], best groups first
+ */
+export function searchAllGroups(q, tolerance = 'auto') {
+  if (!options) return [];
+  const query = String(q || '').trim();
+  const searchIndex = getIndex();
+  let hits;
+  const id = Number(query);
+  if (query && !Number.isNaN(id)) {
+    hits = entries.filter(entry => entry.id === id).map(entry => ({ entry, match: { kind: 'exact', distance: 0, score: 100 } }));
+  } else {
+    hits = [...searchIndex.matchNames(query, tolerance)].map(([node, match]) => ({ entry: node.data, match }));
+  }
+
+  const groups = new Map();
+  hits.forEach(hit => {
+    const group = hit.entry.taxagroupid;
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(hit);
+  });
+  const byRelevance = (a, b) =>
+    (b.match.score - a.match.score) ||
+    (Boolean(a.entry.synonymOf) - Boolean(b.entry.synonymOf)) ||
+    (a.entry.pathIds.length - b.entry.pathIds.length) ||
+    a.entry.name.localeCompare(b.entry.name);
+  return [...groups].map(([taxagroupid, groupHits]) => ({ taxagroupid, hits: groupHits.sort(byRelevance) }))
+    .sort((a, b) => byRelevance(a.hits[0], b.hits[0]) || (b.hits.length - a.hits.length));
+}
+
+/**
+ * Whether the search box currently searches all groups
+ * @returns {boolean}
+ */
+export function isGlobalSearch() {
+  const toggle = document.getElementById('searchGlobal');
+  return Boolean(options && toggle && toggle.checked);
+}
+
+/**
+ * List the hits of a global search in #info
+ * @param {string} q - Search query
+ * @param {string|number} tolerance - 'auto' or a number of edits
+ */
+export function showGlobalResults(q, tolerance = 'auto') {
+  const panel = document.getElementById('info');
+  if (!panel || !options) return;
+  const groups = searchAllGroups(q, tolerance);
+  const total = groups.reduce((sum, group) => sum + group.hits.length, 0);
+
+  if (!total) {
+    panel.innerHTML = `<div style="font-weight:600;margin-bottom:6px;">Search Results (all groups)</div><div style="color:#6b7280;">No matches found for "${escapeHtml(q)}"</div>`;
+    panel.style.display = 'block';
+    return;
+  }
+
+  const shown = []; // Hits by data-index
+  const sections = groups.map(({ taxagroupid, hits }) => {
+    const rows = hits.slice(0, HITS_PER_GROUP).map(({ entry, match }) => {
+      const lineage = entry.pathNames.slice(-4, -1).join(' / ');
+      const badge = entry.synonymOf ? `<span style="
+            margin-left: 6px;
+            padding: 2px 6px;
+            background: #fef3c7;
+            color: #92400e;
+            border-radius: 4px;
+            font-size: 11px;
+            font-weight: 600;
+          ">synonym of ${escapeHtml(entry.synonymOf)}</span>` : '';
+      const kind = match.kind !== 'exact' ? `<span style="margin-left:6px;font-size:11px;color:#6b7280;">${MATCH_LABELS[match.kind]}</span>` : '';
+      const unavailable = entry.focusId == null;
+      shown.push(entry);
+      return `<div class="global-result-item" data-index="${shown.length - 1}" style="padding:6px 0;border-bottom:1px solid #e5e7eb;cursor:${unavailable ? 'default' : 'pointer'};${unavailable ? 'opacity:0.6;' : ''}"
+          title="${unavailable ? 'Not in any loaded tree' : `Open in ${escapeHtml(options.groupLabel(taxagroupid))}`}">
+        <div>${escapeHtml(entry.name)}${kind}${badge}</div>
+        ${lineage ? `<div style="font-size:12px;color:#9ca3af;">${escapeHtml(lineage)}</div>` : ''}
+      </div>`;
+    }).join('');
+    const more = hits.length > HITS_PER_GROUP
+      ? `<div style="font-size:12px;color:#6b7280;padding:4px 0;">${hits.length - HITS_PER_GROUP} more – refine the search</div>`
+      : '';
+    return `
+      <div style="margin-top:8px;">
+        <div style="font-weight:600;font-size:13px;color:#43a047;">${escapeHtml(options.groupLabel(taxagroupid))} (${hits.length})</div>
+        ${rows}${more}
+      </div>
+    `;
+  }).join('');
+
+  panel.innerHTML = `
+    <div style="font-weight:600;margin-bottom:6px;">Search Results (all groups, ${total} matches)</div>
+    <div style="max-height:360px;overflow-y:auto;">${sections}</div>
+  `;
+  panel.style.display = 'block';
+
+  panel.querySelectorAll('.global-result-item').forEach(item => {
+    const entry = shown[Number(item.dataset.index)];
+    if (entry.focusId == null) return;
+    item.addEventListener('click', () => options.onOpen(entry));
+    item.addEventListener('mouseenter', () => {
+      item.style.backgroundColor = '#f3f4f6';
+    });
+    item.addEventListener('mouseleave', () => {
+      item.style.backgroundColor = 'transparent';
+    });
+  });
+}
+
+/**
+ * Enable the "All groups" search mode
+ * @param {Object} opts
+ * @param {Function} opts.getRows - () => every loaded row (taxon paths with taxagroupid)
+ * @param {Function} opts.groupLabel - (taxagroupid) => display name
+ * @param {Function} opts.onOpen - (hit) => open the hit's group or subtree and focus hit.focusId
+ */
+export function setupGlobalSearch({ getRows, groupLabel = id => id, onOpen }) {
+  options = { getRows, groupLabel, onOpen };
+  index = null;
+}
@@ -0,0 +1,247 @@
+// Leaf groups of the rendered tree: grouping controls, background wedges and a legend
+// Leaves are grouped as chosen in #groupBySelect (see grouping.js): today's automatic family
+// grouping, the ancestor at a depth, or the nearest ancestor of a rank. In the radial layout
+// every group gets a translucent wedge from its common ancestor out to the leaves, with its
+// name along the wedge's outer arc (wedges are off by default). Clicking a group in
+// #groupLegend highlights it (or, in filter mode, hides the rest of the tree); clicking it
+// again clears that. SVG elements follow CSS classes; the canvas renderer asks groupOpacity.
+// Usage:
+//   renderMammalTree({ ..., groupDepth, groupBy, groupWedges });   // defaults from getGrouping()
+//   const groups = collectGroups(root);
+//   const wedges = drawGroupWedges(gRoot, groups, { radius });
+//   wedges.update(); wedges.orient(rotationDegrees);               // after a re-layout / rotation
+//   setupGroupLegend({ groups, svg, node, link, wedges, onChange: focus => { ... } });
+//   groupOpacity(focus, d);                                        // 1, dimmed or 0 (hidden)
+//   setupGroupingControls({ onChange: () => { ... } });            // re-render
+
+import { escapeHtml } from './html.js';
+
+export const GROUP_BY_OPTIONS = {
+  auto: 'Auto (family)',
+  depth: 'Depth',
+  order: 'Order',
+  superfamily: 'Superfamily',
+  family: 'Family',
+  subfamily: 'Subfamily',
+  tribe: 'Tribe',
+  genus: 'Genus'
+};
+
+const WEDGE_PAD = 0.004; // Radians added on both sides of a group's leaves
+const LABEL_INSET = 8; // Distance of the group names inside the leaf circle
+const LABEL_CHAR_PX = 6; // Rough label width per character, to skip names that do not fit
+const DIMMED_OPACITY = 0.15; // Outside the highlighted group, as in index.css
+
+// by: key of GROUP_BY_OPTIONS; depth: used by 'auto' and 'depth'; wedges: draw them
+let current = { by: 'auto', depth: 2, wedges: false };
+let wedgeRenders = 0; // Keeps the label path IDs of each drawing unique in the document
+
+/**
+ * Grouping used for new renders
+ * @returns {Object} { by, depth, wedges }
+ */
+export function getGrouping() {
+  return { ...current };
+}
+
+/**
+ * Collect the leaf groups of a laid out tree (leaves carry _groupKey, see renderMammalTree)
+ * @param {Object} root - d3.hierarchy root
+ * @returns {Array} [{ key, color, leaves, ancestor, members: Set of nodes incl. ancestors }] in leaf order
+ */
+export function collectGroups(root) {
+  const byKey = new Map();
+  root.leaves().forEach(leaf => {
+    const key = leaf._groupKey || 'Unknown';
+    if (!byKey.has(key)) byKey.set(key, { key, leaves: [] });
+    byKey.get(key).leaves.push(leaf);
+  });
+  const groups = [...byKey.values()];
+  const color = d3.scaleOrdinal(d3.schemeTableau10);
+  groups.forEach(group => {
+    group.color = color(group.key);
+    // Leaves and the paths up to the root
+    group.members = new Set();
+    group.leaves.forEach(leaf => {
+      for (let a = leaf; a && !group.members.has(a); a = a.parent) group.members.add(a);
+    });
+    // Deepest common ancestor: the deepest member on every leaf's path
+    let ancestor = group.leaves[0];
+    group.leaves.forEach(leaf => {
+      const path = new Set(leaf.ancestors());
+      while (!path.has(ancestor)) ancestor = ancestor.parent;
+    });
+    group.ancestor = ancestor;
+  });
+  return groups;
+}
+
+// Arc through two angles at radius r (angles clockwise from 12 o'clock, as in d3.arc)
+function arcPath(a0, a1, r, reverse) {
+  const point = a => [r * Math.sin(a), -r * Math.cos(a)];
+  const [from, to] = reverse ? [a1, a0] : [a0, a1];
+  const large = a1 - a0 > Math.PI ? 1 : 0;
+  return `M${point(from)}A${r},${r} 0 ${large} ${reverse ? 0 : 1} ${point(to)}`;
+}
+
+/**
+ * Draw a wedge per group behind a rendered radial tree
+ * @param {Object} container - d3 selection of the rotated group holding the tree
+ * @param {Array} groups - From collectGroups
+ * @param {Object} options - { radius } of the leaf circle; { isHidden(d) } for collapsed clades
+ * @returns {Object} { wedge, update(), orient(rotation) }
+ */
+export function drawGroupWedges(container, groups, { radius, isHidden = () => false }) {
+  const g = container.insert('g', ':first-child').attr('class', 'group-wedges');
+  const arc = d3.arc();
+  const idPrefix = `group-wedge-label-${++wedgeRenders}-`;
+  let rotation = 0;
+
+  const wedge = g.selectAll('g.group-wedge')
+    .data(groups, group => group.key)
+    .join(enter => {
+      const e = enter.append('g').attr('class', 'group-wedge');
+      e.append('path').attr('class', 'group-wedge-area');
+      e.append('path').attr('class', 'group-wedge-label-path').attr('id', (group, i) => `${idPrefix}${i}`);
+      e.append('text').append('textPath')
+        .attr('href', (group, i) => `#${idPrefix}${i}`)
+        .attr('startOffset', '50%')
+        .attr('text-anchor', 'middle')
+        .text(group => group.key);
+      e.append('title').text(group => `${group.key}: ${group.leaves.length} leaves`);
+      return e;
+    })
+    .style('--group-color', group => group.color);
+
+  function extent(group) {
+    const angles = group.leaves.filter(leaf => !isHidden(leaf)).map(leaf => leaf.x);
+    // Leaves inside a collapsed clade sit on it
+    if (!angles.length) group.leaves.forEach(leaf => angles.push(leaf.x));
+    return [d3.min(angles) - WEDGE_PAD, d3.max(angles) + WEDGE_PAD];
+  }
+
+  function orient(degrees = rotation) {
+    rotation = degrees;
+    const rot = (rotation * Math.PI) / 180;
+    const r = radius - LABEL_INSET;
+    wedge.each(function (group) {
+      const [a0, a1] = group.extent;
+      // Names on the lower half run the other way, so they are not upside down
+      const reverse = Math.cos((a0 + a1) / 2 + rot) < 0;
+      const el = d3.select(this);
+      el.select('.group-wedge-label-path').attr('d', arcPath(a0, a1, r, reverse));
+      el.select('text')
+        .attr('dy', reverse ? '0.8em' : '-0.3em')
+        .style('display', (a1 - a0) * r < group.key.length * LABEL_CHAR_PX ? 'none' : null);
+    });
+  }
+
+  function update() {
+    groups.forEach(group => { group.extent = extent(group); });
+    wedge.select('.group-wedge-area').attr('d', group => arc({
+      innerRadius: Math.max(0, Math.min(group.ancestor.y, radius - LABEL_INSET * 2)),
+      outerRadius: radius,
+      startAngle: group.extent[0],
+      endAngle: group.extent[1]
+    }));
+    orient();
+  }
+
+  update();
+  return { wedge, update, orient };
+}
+
+/**
+ * Opacity of a node, and of the link to it, while a group is picked in the legend
+ * (what the .group-highlight / .group-filter rules give SVG elements), for the canvas
+ * @param {Object|null} focus - { members, mode } from setupGroupLegend's onChange
+ * @param {Object} d - Hierarchy node
+ * @returns {number} 1, dimmed, or 0 when filtered out
+ */
+export function groupOpacity(focus, d) {
+  if (!focus || focus.members.has(d)) return 1;
+  return focus.mode === 'filter' ? 0 : DIMMED_OPACITY;
+}
+
+/**
+ * Fill #groupLegend with the groups of the rendered tree
+ * Clicking a group highlights it (or hides the rest of the tree, in filter mode).
+ * @param {Object} options - { groups, svg, node, link, wedges, onChange(focus) } (wedges may
+ *   be null); onChange gets { members, mode } of the picked group, or null
+ */
+export function setupGroupLegend({ groups, svg, node, link, wedges = null, onChange = () => {} }) {
+  const legend = document.getElementById('groupLegend');
+  if (!legend) return;
+  let active = null;
+
+  legend.hidden = !groups.length;
+  legend.innerHTML = `
+    <div class="group-legend-header">
+      <span>${groups.length} group${groups.length === 1 ? '' : 's'}</span>
+      <label><input type="radio" name="groupLegendMode" value="highlight" checked> Highlight</label>
+      <label><input type="radio" name="groupLegendMode" value="filter"> Filter</label>
+    </div>
+    <div class="group-legend-items">
+      ${groups.map((group, i) => `
+        <button class="group-legend-item" data-index="${i}" title="${escapeHtml(group.key)}">
+          <span class="group-legend-swatch" style="background:${group.color};"></span>
+          <span class="group-legend-name">${escapeHtml(group.key)}</span>
+          <span class="group-legend-count">${group.leaves.length}</span>
+        </button>`).join('')}
+    </div>
+  `;
+
+  function apply() {
+    const mode = legend.querySelector('input[name="groupLegendMode"]:checked').value;
+    const members = active ? active.members : null;
+    svg.classed('group-highlight', Boolean(active) && mode === 'highlight');
+    svg.classed('group-filter', Boolean(active) && mode === 'filter');
+    node.classed('group-member', d => Boolean(members && members.has(d)));
+    link.classed('group-member', l => Boolean(members && members.has(l.target)));
+    if (wedges) wedges.wedge.classed('group-member', group => group === active);
+    legend.querySelectorAll('.group-legend-item').forEach(item => {
+      item.classList.toggle('active', groups[Number(item.dataset.index)] === active);
+    });
+    onChange(active ? { members, mode } : null);
+  }
+
+  d3.select(legend)
+    .on('click.groups', event => {
+      const item = event.target.closest('.group-legend-item');
+      if (!item) return;
+      const group = groups[Number(item.dataset.index)];
+      active = active === group ? null : group;
+      apply();
+    })
+    .on('change.groups', apply);
+}
+
+/**
+ * Wire #groupBySelect, #groupDepthInput and #groupWedgesToggle
+ * @param {Object} options - { onChange(grouping) } re-renders the tree with the new grouping
+ */
+export function setupGroupingControls({ onChange }) {
+  const select = document.getElementById('groupBySelect');
+  const depthInput = document.getElementById('groupDepthInput');
+  const wedgesToggle = document.getElementById('groupWedgesToggle');
+  if (!select || !depthInput || !wedgesToggle) return;
+  select.innerHTML = Object.entries(GROUP_BY_OPTIONS)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`)
+    .join('');
+  select.value = current.by;
+  depthInput.value = current.depth;
+  wedgesToggle.checked = current.wedges;
+
+  function apply() {
+    current = {
+      by: GROUP_BY_OPTIONS[select.value] ? select.value : 'auto',
+      depth: Math.max(1, Math.round(Number(depthInput.value) || 1)),
+      wedges: wedgesToggle.checked
+    };
+    depthInput.disabled = current.by !== 'auto' && current.by !== 'depth';
+    onChange(getGrouping());
+  }
+
+  depthInput.disabled = current.by !== 'auto' && current.by !== 'depth';
+  [select, depthInput, wedgesToggle].forEach(input => input.addEventListener('change', apply));
+}
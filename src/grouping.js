@@ -1,15 +1,21 @@
 // Grouping utilities: compute groupKey for leaves and sort them
+// Leaves are grouped by (groupBy):
+//   'auto'   a family name in their path, else their ancestor at groupDepth
+//   'depth'  their ancestor at groupDepth
+//   a rank   their nearest ancestor ranked at or above it ('order', 'family', ... see ranks.js)
+
+import { inferRank, inferTreeRanks, rankIndex } from './ranks.js';
 
 /**
  * Infer family from a path (names array).
- * Looks for names ending in -idae, or uses a node at a specific depth.
+ * Looks for a family name (by its rank suffix), or uses a node at a specific depth.
  */
 function inferFamilyFromPath(names, groupDepth = 3) {
   if (!names || !Array.isArray(names)) return null;
   
-  // First, try to find a name ending in -idae (typical family suffix)
+  // First, try to find a family name (-idae, see ranks.js)
   for (let i = names.length - 1; i >= 0; i--) {
-    if (names[i] && names[i].toLowerCase().endsWith('idae')) {
+    if (names[i] && inferRank(names[i]) === 'family') {
       return names[i];
     }
   }
@@ -72,15 +78,26 @@ export function enrichTreeWithPaths(treeData, rows) {
 /**
  * Compute groupKey for a leaf node based on its path.
  * node is a d3.hierarchy node, so we access data via node.data
+ * ranks (d3 node -> rank, from inferTreeRanks) is needed when grouping by a rank.
  */
-function getGroupKey(node, groupDepth = 3) {
+function getGroupKey(node, groupDepth = 3, groupBy = 'auto', ranks = null) {
   if (!node || !node.data) return 'Unknown';
   
-  // Try to get pathNames from node.data
-  const pathNames = node.data.pathNames;
-  if (pathNames && Array.isArray(pathNames) && pathNames.length > 0) {
-    const family = inferFamilyFromPath(pathNames, groupDepth);
-    if (family) return family;
+  if (groupBy === 'auto') {
+    // Try to get pathNames from node.data
+    const pathNames = node.data.pathNames;
+    if (pathNames && Array.isArray(pathNames) && pathNames.length > 0) {
+      const family = inferFamilyFromPath(pathNames, groupDepth);
+      if (family) return family;
+    }
+  } else if (groupBy !== 'depth' && ranks) {
+    // The leaf itself when it is ranked at or above the grouping rank
+    const target = rankIndex(groupBy);
+    const group = node.ancestors().find(a => {
+      const index = rankIndex(ranks.get(a));
+      return index >= 0 && index <= target;
+    });
+    if (group) return group.data.name;
   }
   
   // Fallback: traverse up the hierarchy to find a suitable ancestor
@@ -109,14 +126,16 @@ function getGroupKey(node, groupDepth = 3) {
 /**
  * Sort leaves by groupKey, then by name within each group.
  * Returns a map from leaf node to its target index.
+ * groupBy is 'auto', 'depth' or a rank (see the header).
  */
-export function computeLeafOrder(root, groupDepth = 3) {
+export function computeLeafOrder(root, groupDepth = 3, groupBy = 'auto') {
   const leaves = root.leaves();
+  const ranks = groupBy === 'auto' || groupBy === 'depth' ? null : inferTreeRanks(root);
   
   // Compute groupKey for each leaf
   const leafGroups = leaves.map(leaf => ({
     leaf,
-    groupKey: getGroupKey(leaf, groupDepth),
+    groupKey: getGroupKey(leaf, groupDepth, groupBy, ranks),
     name: leaf.data.name || '',
   }));
   
@@ -138,10 +157,12 @@ export function computeLeafOrder(root, groupDepth = 3) {
 
 /**
  * Reorder children of nodes to minimize crossings.
- * Uses the leaf order to guide sibling ordering.
+ * Uses the leaf order to guide sibling ordering, and returns it
+ * ({ leafToIndex, leafGroups } from computeLeafOrder) so callers need not compute it again.
  */
-export function reorderTreeForGrouping(root, groupDepth = 3) {
-  const { leafToIndex } = computeLeafOrder(root, groupDepth);
+export function reorderTreeForGrouping(root, groupDepth = 3, groupBy = 'auto') {
+  const leafOrder = computeLeafOrder(root, groupDepth, groupBy);
+  const { leafToIndex } = leafOrder;
   
   // For each internal node, sort its children based on the average leaf index
   function sortNodeChildren(node) {
@@ -177,6 +198,6 @@ export function reorderTreeForGrouping(root, groupDepth = 3) {
   // Clean up temporary sort keys
   root.each(d => delete d._sortKey);
   
-  return root;
+  return leafOrder;
 }
 
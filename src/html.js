@@ -0,0 +1,12 @@
+// HTML helpers shared by the panels that build their markup as strings
+// Usage:
+//   panel.innerHTML = `<strong>${escapeHtml(name)}</strong>`;
+
+/**
+ * Escape text for use in HTML content and double-quoted attributes
+ * @param {*} text - Text (converted with String)
+ * @returns {string} Text with &, <, > and " escaped
+ */
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+}
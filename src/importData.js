@@ -0,0 +1,673 @@
+// Import user-supplied taxon path files: CSV, TSV, JSON or Newick
+// Every format is converted to the row shape used for data/taxonpaths.json:
+//   { taxonid, taxonname, ids_root_to_leaf: [..], names_root_to_leaf: [..], taxagroupid }
+// plus the taxon's rank when the file has a rank column (used instead of inferred ranks, see ranks.js),
+// and the values of other numeric columns (for the encodings, see encodings.js).
+// Accepted inputs:
+//   CSV/TSV  header row with path columns (ids_root_to_leaf + names_root_to_leaf, or the
+//            taxonpaths export names array_to_string + taxonnames), or parent links
+//            (taxonid, taxonname, highertaxonid) as in the Neotoma API
+//   JSON     an array of such records, { data: [...] } (Neotoma API) or { "<query>": [...] }
+//   Newick   one or more trees; nodes get generated negative IDs
+//   NEXUS    the TREES block (with an optional TRANSLATE table) read as Newick
+// Malformed records are skipped and reported with their line (or record) number.
+// Usage:
+//   const { rows, errors, format } = parseTaxonFile(text, 'checklist.csv');
+//   setupImport({ onImport: result => { ... } });   // wire #importFile and drops on #stage
+
+import { parseNamePath } from './data.js';
+import { escapeHtml } from './html.js';
+
+export const IMPORT_ROOT_ID = -999998; // Synthetic root when a file has several roots
+const IMPORT_ROOT_NAME = 'Imported taxa';
+const MAX_REPORTED_ERRORS = 50;
+
+// Header aliases, compared lowercase
+const COLUMN_ALIASES = {
+  taxonid: ['taxonid', 'taxon_id', 'id'],
+  taxonname: ['taxonname', 'taxon_name', 'name'],
+  ids: ['ids_root_to_leaf', 'array_to_string', 'ids', 'id_path'],
+  names: ['names_root_to_leaf', 'taxonnames', 'names', 'name_path'],
+  taxagroupid: ['taxagroupid', 'taxagroup', 'group'],
+  parent: ['highertaxonid', 'parentid', 'parent_id'],
+  rank: ['rank', 'taxonrank', 'taxon_rank', 'rankname']
+};
+
+/**
+ * Detect the format of an uploaded file from its name and content
+ * @param {string} text - File contents
+ * @param {string} filename - Original file name
+ * @returns {string} 'nexus' | 'newick' | 'json' | 'tsv' | 'csv'
+ */
+export function detectFormat(text, filename = '') {
+  const ext = (filename.split('.').pop() || '').toLowerCase();
+  if (['nex', 'nexus', 'nxs'].includes(ext)) return 'nexus';
+  if (['nwk', 'newick', 'tre', 'tree'].includes(ext)) return 'newick';
+  if (ext === 'json') return 'json';
+  if (ext === 'tsv' || ext === 'tab') return 'tsv';
+  if (ext === 'csv') return 'csv';
+  const start = text.trimStart();
+  if (/^#nexus/i.test(start)) return 'nexus';
+  if (start.startsWith('(')) return 'newick';
+  if (start.startsWith('[') || start.startsWith('{')) return 'json';
+  const firstLine = start.split('\n', 1)[0];
+  return firstLine.includes('\t') ? 'tsv' : 'csv';
+}
+
+/**
+ * Parse an uploaded taxon file
+ * @param {string} text - File contents
+ * @param {string} filename - Original file name (used for format detection)
+ * @returns {Object} { rows, errors: [{ line|record, message }], format }
+ */
+export function parseTaxonFile(text, filename = '') {
+  const format = detectFormat(text, filename);
+  let result;
+  if (format === 'newick') {
+    result = parseNewickFile(text);
+  } else if (format === 'nexus') {
+    result = parseNexusFile(text);
+  } else if (format === 'json') {
+    result = parseJsonFile(text);
+  } else {
+    result = parseDelimitedFile(text, format === 'tsv' ? '\t' : ',');
+  }
+  const errors = result.errors.slice().sort((a, b) => (a.line ?? a.record) - (b.line ?? b.record));
+  return { rows: withCommonRoot(result.rows), errors, format };
+}
+
+// ---------------------------------------------------------------------------
+// Path values
+
+/**
+ * Parse an ID path. Unlike parseIdPath in data.js this is strict: every element must
+ * be an integer, so malformed values are reported instead of silently dropped.
+ */
+function parseIdList(value) {
+  if (Array.isArray(value)) return value.map(checkId);
+  const s = String(value ?? '').trim();
+  if (!s) throw new Error('empty ID path');
+  let tokens;
+  if (s.startsWith('[')) {
+    tokens = JSON.parse(s);
+    if (!Array.isArray(tokens)) throw new Error('ID path is not an array');
+  } else if (s.startsWith('{') && s.endsWith('}')) {
+    tokens = s.slice(1, -1).split(',');
+  } else {
+    tokens = s.split(/[,;|>]/);
+  }
+  return tokens.map(checkId);
+}
+
+function checkId(token) {
+  const t = String(token).trim();
+  if (!/^-?\d+$/.test(t)) throw new Error(`"${t}" is not an integer taxon ID`);
+  return Number(t);
+}
+
+/**
+ * Parse a name path: JSON arrays and Postgres array literals via parseNamePath,
+ * otherwise split on '|', ' > ', ';' or commas outside parentheses.
+ */
+function parseNameList(value) {
+  if (Array.isArray(value)) return value.map(v => String(v).trim());
+  const s = String(value ?? '').trim();
+  if (!s) throw new Error('empty name path');
+  if (s.startsWith('[') || (s.startsWith('{') && s.endsWith('}'))) {
+    const names = parseNamePath(s);
+    if (!names.length) throw new Error('unreadable name path');
+    return names;
+  }
+  if (s.includes('|')) return s.split('|').map(t => t.trim());
+  if (s.includes(' > ')) return s.split(' > ').map(t => t.trim());
+  if (s.includes(';')) return s.split(';').map(t => t.trim());
+
+  const names = [];
+  let current = '';
+  let depth = 0;
+  for (const ch of s) {
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (ch === ',' && depth === 0) {
+      names.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  names.push(current.trim());
+  return names;
+}
+
+/**
+ * Map record keys to canonical column names via COLUMN_ALIASES
+ * @returns {Object} canonical name -> original key
+ */
+function resolveColumns(keys) {
+  const lower = new Map(keys.map(k => [String(k).trim().toLowerCase(), k]));
+  const columns = {};
+  Object.entries(COLUMN_ALIASES).forEach(([canonical, aliases]) => {
+    const alias = aliases.find(a => lower.has(a));
+    if (alias) columns[canonical] = lower.get(alias);
+  });
+  return columns;
+}
+
+// Rank of a record, only added to rows when the file has a rank column
+function rankField(values, columns) {
+  const rank = columns.rank ? String(values[columns.rank] ?? '').trim() : '';
+  return rank ? { rank } : {};
+}
+
+// Numeric values of the columns not recognized above (empty cells are left out)
+function extraFields(values, columns) {
+  const known = new Set(Object.values(columns));
+  const fields = {};
+  Object.entries(values).forEach(([key, value]) => {
+    const text = typeof value === 'number' ? String(value) : String(value ?? '').trim();
+    if (!known.has(key) && text !== '' && Number.isFinite(Number(text))) fields[key] = Number(text);
+  });
+  return fields;
+}
+
+/**
+ * Convert records (objects with original keys) to path rows
+ * @param {Array} records - [{ position: { line|record }, values: { key: value } }]
+ * @param {Object} columns - Result of resolveColumns
+ * @returns {Object} { rows, errors }
+ */
+function recordsToRows(records, columns) {
+  const errors = [];
+  if (columns.ids && columns.names) {
+    const rows = [];
+    records.forEach(({ position, values }) => {
+      try {
+        const ids = parseIdList(values[columns.ids]);
+        const names = parseNameList(values[columns.names]);
+        if (ids.length !== names.length) {
+          throw new Error(`path has ${ids.length} IDs but ${names.length} names`);
+        }
+        if (names.some(n => !n)) throw new Error('path contains an empty name');
+        const lastId = ids[ids.length - 1];
+        const rawTaxonId = columns.taxonid ? String(values[columns.taxonid] ?? '').trim() : '';
+        if (rawTaxonId && checkId(rawTaxonId) !== lastId) {
+          throw new Error(`taxonid ${rawTaxonId} is not the last ID of its path (${lastId})`);
+        }
+        rows.push({
+          taxonid: lastId,
+          taxonname: (columns.taxonname && String(values[columns.taxonname] ?? '').trim()) || names[names.length - 1],
+          ids_root_to_leaf: ids,
+          names_root_to_leaf: names,
+          taxagroupid: columns.taxagroupid ? String(values[columns.taxagroupid] ?? '').trim() : '',
+          ...rankField(values, columns),
+          ...extraFields(values, columns)
+        });
+      } catch (error) {
+        errors.push({ ...position, message: error.message });
+      }
+    });
+    return { rows, errors };
+  }
+
+  if (columns.taxonid && columns.taxonname && columns.parent) {
+    return parentLinksToRows(records, columns);
+  }
+
+  const found = Object.keys(columns).join(', ') || 'none';
+  errors.push({
+    line: 1,
+    message: `Missing columns: need ids_root_to_leaf + names_root_to_leaf, or taxonid + taxonname + highertaxonid (recognized: ${found})`
+  });
+  return { rows: [], errors };
+}
+
+/**
+ * Build paths from parent links (Neotoma API taxa records use highertaxonid)
+ */
+function parentLinksToRows(records, columns) {
+  const errors = [];
+  const byId = new Map();
+  records.forEach(({ position, values }) => {
+    try {
+      const id = checkId(values[columns.taxonid]);
+      const name = String(values[columns.taxonname] ?? '').trim();
+      if (!name) throw new Error('empty taxonname');
+      const rawParent = String(values[columns.parent] ?? '').trim();
+      const parent = rawParent ? checkId(rawParent) : null;
+      if (byId.has(id)) throw new Error(`duplicate taxonid ${id}`);
+      byId.set(id, {
+        id,
+        name,
+        parent: parent === id ? null : parent, // Neotoma roots point at themselves
+        taxagroupid: columns.taxagroupid ? String(values[columns.taxagroupid] ?? '').trim() : '',
+        ...rankField(values, columns),
+        fields: extraFields(values, columns),
+        position
+      });
+    } catch (error) {
+      errors.push({ ...position, message: error.message });
+    }
+  });
+
+  const rows = [];
+  byId.forEach(taxon => {
+    const ids = [];
+    const names = [];
+    const seen = new Set();
+    let current = taxon;
+    while (current) {
+      if (seen.has(current.id)) {
+        errors.push({ ...taxon.position, message: `cycle in highertaxonid links at taxonid ${current.id}` });
+        return;
+      }
+      seen.add(current.id);
+      ids.unshift(current.id);
+      names.unshift(current.name);
+      current = current.parent != null ? byId.get(current.parent) : null;
+    }
+    rows.push({
+      taxonid: taxon.id,
+      taxonname: taxon.name,
+      ids_root_to_leaf: ids,
+      names_root_to_leaf: names,
+      taxagroupid: taxon.taxagroupid,
+      ...(taxon.rank ? { rank: taxon.rank } : {}),
+      ...taxon.fields
+    });
+  });
+  return { rows, errors };
+}
+
+/**
+ * Give all rows one root: if paths start at different IDs, prepend a synthetic root
+ * Rows that already start at the synthetic root are kept as they are.
+ * @param {Array} rows - Path rows
+ * @returns {Array} Rows sharing their first ID
+ */
+export function withCommonRoot(rows) {
+  const roots = new Set(rows.map(r => r.ids_root_to_leaf[0]));
+  if (roots.size <= 1) return rows;
+  return rows.map(r => r.ids_root_to_leaf[0] === IMPORT_ROOT_ID ? r : ({
+    ...r,
+    ids_root_to_leaf: [IMPORT_ROOT_ID, ...r.ids_root_to_leaf],
+    names_root_to_leaf: [IMPORT_ROOT_NAME, ...r.names_root_to_leaf]
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// CSV / TSV
+
+/**
+ * Split delimited text into records, honoring quoted fields that span lines
+ * @returns {Object} { records: [{ line, fields }], error }
+ */
+function splitDelimited(text, delimiter) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  function endRecord() {
+    record.push(field);
+    if (record.length > 1 || record[0].trim() !== '') {
+      records.push({ line: recordLine, fields: record });
+    }
+    record = [];
+    field = '';
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') { field += '"'; i++; } else { inQuotes = false; }
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"' && field.trim() === '') { field = ''; inQuotes = true; continue; }
+    if (ch === delimiter) { record.push(field); field = ''; continue; }
+    if (ch === '\r') continue;
+    if (ch === '\n') {
+      endRecord();
+      line++;
+      recordLine = line;
+      continue;
+    }
+    field += ch;
+  }
+  if (inQuotes) {
+    return { records, error: { line: recordLine, message: 'unterminated quoted field' } };
+  }
+  if (field !== '' || record.length) endRecord();
+  return { records, error: null };
+}
+
+function parseDelimitedFile(text, delimiter) {
+  const { records, error } = splitDelimited(text.replace(/^\uFEFF/, ''), delimiter);
+  const errors = error ? [error] : [];
+  if (!records.length) {
+    errors.push({ line: 1, message: 'file is empty' });
+    return { rows: [], errors };
+  }
+  const [header, ...body] = records;
+  const keys = header.fields.map(f => f.trim());
+  const dataRecords = [];
+  body.forEach(({ line, fields }) => {
+    if (fields.length !== keys.length) {
+      errors.push({ line, message: `expected ${keys.length} fields, found ${fields.length}` });
+      return;
+    }
+    const values = {};
+    keys.forEach((key, i) => { values[key] = fields[i]; });
+    dataRecords.push({ position: { line }, values });
+  });
+  const result = recordsToRows(dataRecords, resolveColumns(keys));
+  return { rows: result.rows, errors: [...errors, ...result.errors] };
+}
+
+// ---------------------------------------------------------------------------
+// JSON
+
+function lineOfOffset(text, offset) {
+  return text.slice(0, offset).split('\n').length;
+}
+
+function parseJsonFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    // Engines report either "line N" or "position N"
+    const lineMatch = /line (\d+)/.exec(error.message);
+    const positionMatch = /position (\d+)/.exec(error.message);
+    const line = lineMatch ? Number(lineMatch[1]) : positionMatch ? lineOfOffset(text, Number(positionMatch[1])) : 1;
+    const detail = error.message.split('\n')[0].slice(0, 120);
+    return { rows: [], errors: [{ line, message: `invalid JSON: ${detail}` }] };
+  }
+
+  // Unwrap { data: [...] } (Neotoma API) and { "<query>": [...] } (taxonpaths export)
+  let items = data;
+  if (!Array.isArray(items) && items && typeof items === 'object') {
+    items = Array.isArray(items.data) ? items.data : Object.values(items).find(Array.isArray);
+  }
+  if (!Array.isArray(items)) {
+    return { rows: [], errors: [{ line: 1, message: 'expected an array of records' }] };
+  }
+
+  const errors = [];
+  const records = [];
+  const keys = new Set();
+  items.forEach((item, i) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      errors.push({ record: i + 1, message: 'record is not an object' });
+      return;
+    }
+    Object.keys(item).forEach(k => keys.add(k));
+    records.push({ position: { record: i + 1 }, values: item });
+  });
+  const result = recordsToRows(records, resolveColumns([...keys]));
+  return { rows: result.rows, errors: [...errors, ...result.errors] };
+}
+
+// ---------------------------------------------------------------------------
+// Newick
+
+/**
+ * Parse Newick text into nested { name, children } trees
+ * Quoted labels use single quotes; unquoted underscores become spaces;
+ * branch lengths and [comments] are ignored.
+ * @returns {Object} { trees, errors }
+ */
+export function parseNewick(text) {
+  let i = 0;
+  let line = 1;
+  let column = 1;
+
+  function fail(message) {
+    const error = new Error(message);
+    error.position = { line, column };
+    throw error;
+  }
+  function advance() {
+    if (text[i] === '\n') { line++; column = 1; } else { column++; }
+    i++;
+  }
+  function skipBlank() {
+    while (i < text.length) {
+      if (/\s/.test(text[i])) { advance(); continue; }
+      if (text[i] === '[') {
+        while (i < text.length && text[i] !== ']') advance();
+        if (i >= text.length) fail('unterminated [comment]');
+        advance();
+        continue;
+      }
+      break;
+    }
+  }
+  function readLabel() {
+    skipBlank();
+    if (text[i] === "'") {
+      advance();
+      let label = '';
+      while (true) {
+        if (i >= text.length) fail('unterminated quoted label');
+        if (text[i] === "'") {
+          if (text[i + 1] === "'") { label += "'"; advance(); advance(); continue; }
+          advance();
+          return label;
+        }
+        label += text[i];
+        advance();
+      }
+    }
+    let label = '';
+    while (i < text.length && !/[\s(),:;[\]']/.test(text[i])) {
+      label += text[i];
+      advance();
+    }
+    return label.replace(/_/g, ' ');
+  }
+  function skipLength() {
+    skipBlank();
+    if (text[i] !== ':') return;
+    advance();
+    skipBlank();
+    const start = i;
+    while (i < text.length && /[0-9eE.+-]/.test(text[i])) advance();
+    if (i === start) fail('expected a branch length after ":"');
+  }
+  function readSubtree() {
+    skipBlank();
+    const node = { name: '', children: [] };
+    if (text[i] === '(') {
+      advance();
+      node.children.push(readSubtree());
+      skipBlank();
+      while (text[i] === ',') {
+        advance();
+        node.children.push(readSubtree());
+        skipBlank();
+      }
+      if (text[i] !== ')') fail(`expected "," or ")" but found ${text[i] ? `"${text[i]}"` : 'end of file'}`);
+      advance();
+    }
+    node.name = readLabel();
+    skipLength();
+    return node;
+  }
+
+  const trees = [];
+  const errors = [];
+  try {
+    skipBlank();
+    while (i < text.length) {
+      const tree = readSubtree();
+      skipBlank();
+      if (text[i] !== ';') fail(`expected ";" at end of tree but found ${text[i] ? `"${text[i]}"` : 'end of file'}`);
+      advance();
+      trees.push(tree);
+      skipBlank();
+    }
+  } catch (error) {
+    errors.push({ ...(error.position || { line }), message: error.message });
+  }
+  if (!trees.length && !errors.length) errors.push({ line: 1, message: 'no tree found' });
+  return { trees, errors };
+}
+
+function parseNewickFile(text, translate = null) {
+  const { trees, errors } = parseNewick(text);
+  if (translate) {
+    (function rename(node) {
+      if (translate.has(node.name)) node.name = translate.get(node.name);
+      node.children.forEach(rename);
+    })({ name: '', children: trees });
+  }
+  const rows = [];
+  let nextId = -1;
+  let unnamed = 0;
+  function visit(node, ids, names) {
+    const id = nextId--;
+    const name = node.name || `Unnamed node ${++unnamed}`;
+    const pathIds = [...ids, id];
+    const pathNames = [...names, name];
+    rows.push({ taxonid: id, taxonname: name, ids_root_to_leaf: pathIds, names_root_to_leaf: pathNames, taxagroupid: '' });
+    node.children.forEach(child => visit(child, pathIds, pathNames));
+  }
+  trees.forEach(tree => visit(tree, [], []));
+  return { rows, errors };
+}
+
+/**
+ * Read the TREE statements of a NEXUS file. Everything outside the Newick strings is
+ * blanked (newlines kept) so Newick errors still report the line in the original file.
+ */
+function parseNexusFile(text) {
+  const masked = text.replace(/[^\n]/g, ' ').split('');
+  const treePattern = /^\s*tree\s+[^=]+=\s*(\[[^\]]*\]\s*)?([^;]*;)/gim;
+  let match;
+  let found = 0;
+  while ((match = treePattern.exec(text)) !== null) {
+    const start = match.index + match[0].length - match[2].length;
+    for (let i = start; i < start + match[2].length; i++) masked[i] = text[i];
+    found++;
+  }
+  if (!found) {
+    return { rows: [], errors: [{ line: 1, message: 'no TREE statement found in NEXUS file' }] };
+  }
+
+  // TRANSLATE maps tokens used in the trees to taxon labels
+  let translate = null;
+  const translateMatch = /^\s*translate\s+([^;]*);/im.exec(text);
+  if (translateMatch) {
+    translate = new Map();
+    const entryPattern = /\s*([^\s,]+)\s+('(?:[^']|'')*'|[^\s,]+)\s*(,|$)/g;
+    let entry;
+    while ((entry = entryPattern.exec(translateMatch[1])) !== null) {
+      const label = entry[2].startsWith("'") ? entry[2].slice(1, -1).replace(/''/g, "'") : entry[2].replace(/_/g, ' ');
+      translate.set(entry[1].replace(/_/g, ' '), label);
+    }
+  }
+  return parseNewickFile(masked.join(''), translate);
+}
+
+// ---------------------------------------------------------------------------
+// UI
+
+/**
+ * Show the import outcome with malformed lines in the #info panel
+ * @param {Object} result - { rows, errors, format }
+ * @param {string} filename - Imported file name
+ */
+export function showImportReport({ rows, errors, format }, filename) {
+  const panel = document.getElementById('info');
+  if (!panel) return;
+  const shown = errors.slice(0, MAX_REPORTED_ERRORS);
+  const errorList = shown.map(e => `
+    <div style="padding:4px 0;border-top:1px solid #fde68a;font-size:13px;">
+      <strong>${e.line != null ? `Line ${e.line}` : `Record ${e.record}`}:</strong> ${escapeHtml(e.message)}
+    </div>
+  `).join('');
+  const more = errors.length > shown.length ? `<div style="font-size:12px;color:#92400e;margin-top:4px;">…and ${errors.length - shown.length} more</div>` : '';
+
+  panel.innerHTML = `
+    <div style="font-weight:600;margin-bottom:6px;">Import: ${escapeHtml(filename)}</div>
+    <div style="font-size:14px;color:#374151;">
+      ${rows.length} taxa read as ${format.toUpperCase()}${errors.length ? `, ${errors.length} malformed record${errors.length === 1 ? '' : 's'} skipped` : ''}.
+    </div>
+    ${errors.length ? `
+      <div style="margin-top:8px;padding:8px 10px;background:#fef3c7;border-radius:6px;color:#78350f;max-height:220px;overflow-y:auto;">
+        ${errorList}${more}
+      </div>
+    ` : ''}
+  `;
+  panel.style.display = 'block';
+}
+
+/**
+ * Show a file that could not be read or opened in the #info panel
+ * @param {Error} error - What went wrong
+ * @param {string} filename - File name
+ * @param {string} action - Heading of the report, e.g. 'Import'
+ */
+export function showImportFailure(error, filename, action = 'Import') {
+  console.error(`${action} of ${filename} failed:`, error);
+  const panel = document.getElementById('info');
+  if (!panel) return;
+  panel.innerHTML = `
+    <div style="font-weight:600;margin-bottom:6px;">${escapeHtml(action)}: ${escapeHtml(filename)}</div>
+    <div style="padding:8px 10px;background:#fee2e2;border-radius:6px;color:#991b1b;font-size:13px;">
+      ${escapeHtml(error && error.message ? error.message : String(error))}
+    </div>
+  `;
+  panel.style.display = 'block';
+}
+
+/**
+ * Wire the file picker (#importFile) and drag-and-drop onto #stage
+ * @param {Object} options - { onImport(result, filename) } called after parsing (may be async);
+ *   read, parse and onImport failures are reported in #info
+ */
+export function setupImport({ onImport }) {
+  const fileInput = document.getElementById('importFile');
+  const importBtn = document.getElementById('importBtn');
+  const dropZone = document.getElementById('stage');
+
+  async function handleFile(file) {
+    if (!file) return;
+    try {
+      const text = await file.text();
+      const result = parseTaxonFile(text, file.name);
+      await onImport(result, file.name);
+    } catch (error) {
+      showImportFailure(error, file.name);
+    }
+  }
+
+  if (importBtn && fileInput) {
+    importBtn.addEventListener('click', () => fileInput.click());
+  }
+  if (fileInput) {
+    fileInput.addEventListener('change', () => {
+      handleFile(fileInput.files[0]);
+      fileInput.value = ''; // Allow re-importing the same file
+    });
+  }
+  if (dropZone) {
+    dropZone.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      dropZone.classList.add('drop-target');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drop-target'));
+    dropZone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      dropZone.classList.remove('drop-target');
+      handleFile(e.dataTransfer.files[0]);
+    });
+  }
+}
@@ -1,7 +1,26 @@
-export function applyAngleCulling(root, node, minDeg = 0.9) {
+// Show the labels of a set of nodes; after the first call only labels whose state
+// changed are touched, so zooming a large tree does not restyle every label
+export function createLabelDisplay(node) {
+  const textOf = new Map();
+  node.each(function (d) { textOf.set(d, this.querySelector('text')); });
+  let shown = null;
+  return function show(visible) {
+    if (!shown) {
+      textOf.forEach((text, d) => { text.style.display = visible.has(d) ? 'block' : 'none'; });
+    } else {
+      shown.forEach(d => { if (!visible.has(d)) textOf.get(d).style.display = 'none'; });
+      visible.forEach(d => { if (!shown.has(d)) textOf.get(d).style.display = 'block'; });
+    }
+    shown = new Set(visible);
+  };
+}
+
+// getLeaves returns the nodes drawn as leaves (collapsed clades count as leaves)
+export function applyAngleCulling(root, node, minDeg = 0.9, getLeaves = () => root.leaves()) {
   let threshold = (minDeg * Math.PI) / 180;
-  const leaves = root.leaves().slice().sort((a,b)=>a.x-b.x);
+  let leaves = [];
   const visible = new Set();
+  const show = createLabelDisplay(node);
   function recompute() {
     visible.clear();
     for (let i=0;i<leaves.length;i++){
@@ -10,8 +29,12 @@ export function applyAngleCulling(root, node, minDeg = 0.9) {
       const dθ = Math.min(Math.abs(leaves[i].x - prev.x), Math.abs(next.x - leaves[i].x));
       if (dθ >= threshold) visible.add(leaves[i]);
     }
-    node.select('text')
-      .style('display', d => d.children ? 'none' : (visible.has(d) ? 'block' : 'none'));
+    show(visible);
+  }
+  // Re-read leaf positions after a re-layout
+  function refresh() {
+    leaves = getLeaves().slice().sort((a,b)=>a.x-b.x);
+    recompute();
   }
   function updateByScale(k) {
     // 放大时逐步显示更多文字
@@ -19,8 +42,8 @@ export function applyAngleCulling(root, node, minDeg = 0.9) {
     threshold = base / Math.max(1, Math.sqrt(k));
     recompute();
   }
-  recompute();
-  return { updateByScale };
+  refresh();
+  return { updateByScale, refresh, visible };
 }
 
 
@@ -0,0 +1,311 @@
+// Tree layouts for renderMammalTree
+// Every layout draws the same d3.hierarchy into the rotator group, keeping one <g> per
+// node (with a <text> label) so search highlighting, highlightPath, the info panel and
+// Focus View work unchanged:
+//   radial    radial d3.cluster dendrogram (default)
+//   tidy      horizontal d3.tree, root on the left
+//   icicle    horizontal d3.partition, one rectangle per taxon
+//   sunburst  radial d3.partition, one ring segment per taxon
+//   pack      d3.pack, nested circles
+// Dendrogram layouts (radial, tidy) draw links and support collapsible clades; the
+// others draw a .cell shape per node and have no links. Radial layouts can be rotated.
+// Usage:
+//   const view = createLayout(getLayoutName(), { size, margin, separation });
+//   view.layout(root);   // assigns d.x / d.y (and cell geometry)
+//   setupLayoutSelect({ onChange: name => { ... } });   // wire #layoutSelect
+
+import { applyAngleCulling, createLabelDisplay } from './labelCulling.js';
+import { radialTransform } from './collapse.js';
+
+export const LAYOUTS = {
+  radial: 'Radial',
+  tidy: 'Tidy tree',
+  icicle: 'Icicle',
+  sunburst: 'Sunburst',
+  pack: 'Circle packing'
+};
+
+const TIDY_LABEL_SPACE = 160; // Room right of the deepest leaves for their labels
+const MIN_LABEL_PX = 9; // Labels are shown once their cell/spacing reaches the font size
+
+let currentLayout = 'radial';
+
+/**
+ * Name of the layout used for new renders
+ * @returns {string} Key of LAYOUTS
+ */
+export function getLayoutName() {
+  return currentLayout;
+}
+
+/**
+ * Choose the layout for new renders (unknown names fall back to radial)
+ * @param {string} name - Key of LAYOUTS
+ * @returns {string} The layout now in use
+ */
+export function setLayoutName(name) {
+  currentLayout = LAYOUTS[name] ? name : 'radial';
+  const select = document.getElementById('layoutSelect');
+  if (select) select.value = currentLayout;
+  return currentLayout;
+}
+
+/**
+ * Hide leaf labels that are closer than minPx to a neighbouring leaf
+ */
+function spacingCulling(node, getLeaves, minPx) {
+  let scale = 1;
+  let leaves = [];
+  const visible = new Set();
+  const show = createLabelDisplay(node);
+  function recompute() {
+    visible.clear();
+    leaves.forEach((d, i) => {
+      const prev = i > 0 ? d.x - leaves[i - 1].x : Infinity;
+      const next = i < leaves.length - 1 ? leaves[i + 1].x - d.x : Infinity;
+      if (Math.min(prev, next) * scale >= minPx) visible.add(d);
+    });
+    show(visible);
+  }
+  function refresh() {
+    leaves = getLeaves().slice().sort((a, b) => a.x - b.x);
+    recompute();
+  }
+  refresh();
+  return {
+    updateByScale(k) { scale = k; recompute(); },
+    refresh,
+    visible
+  };
+}
+
+/**
+ * Show labels of cells whose room (in px at scale 1) reaches minPx at the current zoom
+ */
+function cellCulling(node, labelRoom, minPx) {
+  let scale = 1;
+  function recompute() {
+    node.select('text').style('display', d => (labelRoom(d) * scale >= minPx ? 'block' : 'none'));
+  }
+  recompute();
+  return {
+    updateByScale(k) { scale = k; recompute(); },
+    refresh: recompute
+  };
+}
+
+// Cartesian position of an angle/radius pair, matching radialTransform and d3.linkRadial
+function radialPoint(angle, radius) {
+  return [radius * Math.sin(angle), -radius * Math.cos(angle)];
+}
+
+function cellFill(root) {
+  const maxDepth = Math.max(1, root.height);
+  return d => d3.interpolateGreens(0.12 + 0.45 * (d.depth / maxDepth));
+}
+
+/**
+ * Create a layout descriptor
+ * @param {string} name - Key of LAYOUTS
+ * @param {Object} options - { size, margin, separation } as passed to renderMammalTree
+ * @returns {Object} {
+ *   name, rotatable, dendrogram,
+ *   layout(root),                       // position nodes
+ *   linkGen, nodeTransform(x, y),       // link paths and node <g> transforms
+ *   makeLinkGen(), nodePoint(d), linkControlPoints(link),   // dendrograms, for the canvas renderer
+ *   drawCells(node, root),              // cell shapes (non-dendrogram layouts)
+ *   orientLabels(node, { rotation, isLayoutLeaf, labelOffset }),
+ *   createCulling(root, node, getLeaves),   // { updateByScale(k), refresh(), visible } (dendrograms: Set of labelled nodes)
+ *   focusLabel                          // placement of path labels (see setupFocusInfo), or null
+ * }
+ */
+export function createLayout(name, { size, margin, separation }) {
+  const radius = (size / 2) - margin;
+  const inner = size - 2 * margin;
+  const origin = -size / 2 + margin; // Top-left corner of the drawing area
+
+  if (name === 'tidy') {
+    const tidyLink = () => d3.linkHorizontal().x(d => d.y + origin).y(d => d.x + origin);
+    const tree = d3.tree().size([inner, inner - TIDY_LABEL_SPACE]).separation(separation);
+    return {
+      name,
+      rotatable: false,
+      dendrogram: true,
+      layout: root => tree(root),
+      linkGen: tidyLink(),
+      makeLinkGen: tidyLink,
+      nodeTransform: (x, y) => `translate(${y + origin},${x + origin})`,
+      nodePoint: d => [d.y + origin, d.x + origin],
+      // Control points of the horizontal bump curve drawn by d3.linkHorizontal
+      linkControlPoints({ source, target }) {
+        const midY = (source.y + target.y) / 2 + origin;
+        return [
+          [source.y + origin, source.x + origin],
+          [midY, source.x + origin],
+          [midY, target.x + origin],
+          [target.y + origin, target.x + origin]
+        ];
+      },
+      orientLabels(node, { isLayoutLeaf, labelOffset }) {
+        node.select('text')
+          .attr('x', d => (isLayoutLeaf(d) ? 1 : -1) * labelOffset(d))
+          .attr('text-anchor', d => (isLayoutLeaf(d) ? 'start' : 'end'))
+          .attr('transform', null);
+      },
+      createCulling: (root, node, getLeaves) => spacingCulling(node, getLeaves, MIN_LABEL_PX),
+      focusLabel(label) {
+        label
+          .attr('x', d => (d.children ? -16 : 16))
+          .attr('text-anchor', d => (d.children ? 'end' : 'start'))
+          .attr('transform', null);
+      }
+    };
+  }
+
+  if (name === 'icicle') {
+    const partition = d3.partition().size([inner, inner]).padding(1);
+    return {
+      name,
+      rotatable: false,
+      dendrogram: false,
+      layout(root) {
+        partition(root.count());
+        root.each(d => { d.x = d.x0; d.y = d.y0; });
+      },
+      nodeTransform: (x, y) => `translate(${y + origin},${x + origin})`,
+      drawCells(node, root) {
+        const fill = cellFill(root);
+        node.append('rect')
+          .attr('class', 'cell')
+          .attr('width', d => Math.max(0, d.y1 - d.y0))
+          .attr('height', d => Math.max(0, d.x1 - d.x0))
+          .attr('fill', fill);
+      },
+      orientLabels(node) {
+        node.select('text')
+          .attr('x', 4)
+          .attr('y', d => (d.x1 - d.x0) / 2)
+          .attr('text-anchor', 'start')
+          .attr('transform', null);
+      },
+      createCulling: (root, node) => cellCulling(node, d => d.x1 - d.x0, MIN_LABEL_PX),
+      focusLabel: null
+    };
+  }
+
+  if (name === 'sunburst') {
+    const partition = d3.partition().size([2 * Math.PI, radius]);
+    const arc = d3.arc()
+      .startAngle(d => d.x0)
+      .endAngle(d => d.x1)
+      .innerRadius(d => d.y0)
+      .outerRadius(d => d.y1 - 1)
+      .padAngle(0.002);
+    return {
+      name,
+      rotatable: true,
+      dendrogram: false,
+      layout(root) {
+        partition(root.count());
+        // Mid-angle / mid-radius, so focusing and label orientation work as in the radial tree
+        root.each(d => { d.x = (d.x0 + d.x1) / 2; d.y = (d.y0 + d.y1) / 2; });
+      },
+      nodeTransform: () => null,
+      drawCells(node, root) {
+        const fill = cellFill(root);
+        node.append('path')
+          .attr('class', 'cell')
+          .attr('d', arc)
+          .attr('fill', fill);
+      },
+      orientLabels(node, { rotation }) {
+        const rotRad = (rotation * Math.PI) / 180;
+        const tau = Math.PI * 2;
+        const outward = d => ((d.x + rotRad) % tau + tau) % tau < Math.PI;
+        node.select('text')
+          .attr('x', 0)
+          .attr('text-anchor', 'middle')
+          .attr('transform', d => (d.depth === 0 ? null : `${radialTransform(d.x, d.y)}${outward(d) ? '' : ' rotate(180)'}`));
+      },
+      createCulling: (root, node) => cellCulling(node, d => (d.x1 - d.x0) * d.y, MIN_LABEL_PX),
+      focusLabel: null
+    };
+  }
+
+  if (name === 'pack') {
+    const pack = d3.pack().size([inner, inner]).padding(2);
+    return {
+      name,
+      rotatable: false,
+      dendrogram: false,
+      layout: root => pack(root.count()),
+      nodeTransform: (x, y) => `translate(${x + origin},${y + origin})`,
+      drawCells(node, root) {
+        const fill = cellFill(root);
+        node.append('circle')
+          .attr('class', 'cell')
+          .attr('r', d => d.r)
+          .attr('fill', fill);
+      },
+      // Leaf names sit in the middle of their circle, clade names at the top edge
+      orientLabels(node) {
+        node.select('text')
+          .attr('x', 0)
+          .attr('y', d => (d.children ? -d.r + 10 : 0))
+          .attr('text-anchor', 'middle')
+          .attr('transform', null);
+      },
+      createCulling: (root, node) => cellCulling(node, d => (d.children ? d.r / 3 : d.r), MIN_LABEL_PX),
+      focusLabel: null
+    };
+  }
+
+  const cluster = d3.cluster().size([2 * Math.PI, radius]).separation(separation);
+  const radialLink = () => d3.linkRadial().angle(d => d.x).radius(d => d.y);
+  return {
+    name: 'radial',
+    rotatable: true,
+    dendrogram: true,
+    layout: root => cluster(root),
+    linkGen: radialLink(),
+    makeLinkGen: radialLink,
+    nodeTransform: radialTransform,
+    nodePoint: d => radialPoint(d.x, d.y),
+    // Control points of the radial bump curve drawn by d3.linkRadial
+    linkControlPoints({ source, target }) {
+      const midRadius = (source.y + target.y) / 2;
+      return [
+        radialPoint(source.x, source.y),
+        radialPoint(source.x, midRadius),
+        radialPoint(target.x, midRadius),
+        radialPoint(target.x, target.y)
+      ];
+    },
+    // Keep labels readable: flip those on the left half of the (rotated) circle
+    orientLabels(node, { rotation, isLayoutLeaf, labelOffset }) {
+      const rotRad = (rotation * Math.PI) / 180;
+      const tau = Math.PI * 2;
+      const outward = d => ((d.x + rotRad) % tau + tau) % tau < Math.PI;
+      node.select('text')
+        .attr('x', d => (outward(d) === isLayoutLeaf(d) ? 1 : -1) * labelOffset(d))
+        .attr('text-anchor', d => (outward(d) === isLayoutLeaf(d) ? 'start' : 'end'))
+        .attr('transform', d => outward(d) ? null : 'rotate(180)');
+    },
+    createCulling: (root, node, getLeaves) => applyAngleCulling(root, node, 0.9, getLeaves),
+    focusLabel: undefined // setupFocusInfo's radial default
+  };
+}
+
+/**
+ * Fill #layoutSelect with LAYOUTS and report changes
+ * @param {Object} options - { onChange(name) } called after the user picks a layout
+ */
+export function setupLayoutSelect({ onChange }) {
+  const select = document.getElementById('layoutSelect');
+  if (!select) return;
+  select.innerHTML = Object.entries(LAYOUTS)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`)
+    .join('');
+  select.value = currentLayout;
+  select.addEventListener('change', () => onChange(setLayoutName(select.value)));
+}
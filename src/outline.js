@@ -0,0 +1,179 @@
+// Indented outline of the rendered tree, next to the chart
+// Every taxon gets a row, indented by depth; clades fold and unfold with their ▸ toggle
+// independently of the chart. Only the rows scrolled into view are in the DOM, so trees
+// with tens of thousands of taxa stay responsive. The outline follows the chart:
+//   clicking a row name    onSelect(d) (highlight the node and rotate to it)
+//   node highlighted       its row is unfolded, selected and scrolled into view
+//   search matches         rows are marked; folded clades containing matches get a dot
+// Usage (once per render):
+//   const outline = setupOutline({ root, onSelect: d => { ... } });
+//   outline.reveal(d);
+//   outline.setMatchIds(ids);
+
+import { onViewChange } from './viewSwitch.js';
+import { escapeHtml } from './html.js';
+
+const ROW_HEIGHT = 22;
+const OVERSCAN = 10; // Rows drawn above and below the visible ones
+const INDENT = 14;
+const OPEN_DEPTH = 2; // Clades unfolded when the outline is built
+
+let unsubscribe = null; // View change listener of the previously rendered tree
+
+/**
+ * Build the outline in #outlinePanel for a rendered tree
+ * @param {Object} options
+ * @param {Object} options.root - d3.hierarchy root
+ * @param {Function} options.onSelect - (d) => void, a row name was clicked
+ * @returns {Object} { reveal(d), setMatchIds(ids), expandAll(), collapseAll() }
+ */
+export function setupOutline({ root, onSelect }) {
+  const panel = document.getElementById('outlinePanel');
+  const body = document.getElementById('outlineBody');
+  if (unsubscribe) unsubscribe();
+  unsubscribe = null;
+  if (!panel || !body) return null;
+
+  const expanded = new Set(root.descendants().filter(d => d.children && d.depth < OPEN_DEPTH));
+  const idToNode = new Map(root.descendants().map(d => [d.data.id, d]));
+  let rows = []; // Visible rows, in tree order
+  let rowIndex = new Map(); // Node -> index in rows
+  let selected = null;
+  let matches = new Set(); // Matching nodes
+  let containsMatch = new Set(); // Their ancestors
+  let frame = null;
+
+  body.setAttribute('role', 'tree');
+  body.setAttribute('aria-label', `Outline of ${root.data.name}`);
+  body.innerHTML = '<div class="outline-spacer"><div class="outline-rows"></div></div>';
+  body.scrollTop = 0;
+  const spacer = body.firstElementChild;
+  const list = spacer.firstElementChild;
+
+  function flatten() {
+    rows = [];
+    (function visit(d) {
+      rows.push(d);
+      if (d.children && expanded.has(d)) d.children.forEach(visit);
+    })(root);
+    rowIndex = new Map(rows.map((d, i) => [d, i]));
+    spacer.style.height = `${rows.length * ROW_HEIGHT}px`;
+  }
+
+  function rowHtml(d, i) {
+    const open = expanded.has(d);
+    const classes = ['outline-row'];
+    if (d === selected) classes.push('selected');
+    if (matches.has(d)) classes.push('match');
+    const toggle = d.children
+      ? `<span class="outline-toggle" aria-hidden="true">${open ? '▾' : '▸'}</span>`
+      : '<span class="outline-toggle"></span>';
+    const count = d.children && !open ? `<span class="outline-count">${d.children.length}</span>` : '';
+    const dot = !open && containsMatch.has(d) ? '<span class="outline-match-dot" title="Contains search matches"></span>' : '';
+    return `<div class="${classes.join(' ')}" data-index="${i}" role="treeitem" aria-level="${d.depth + 1}"
+        ${d.children ? `aria-expanded="${open}"` : ''} ${d === selected ? 'aria-selected="true"' : ''}
+        style="padding-left:${4 + d.depth * INDENT}px;" title="${escapeHtml(d.data.name)}">
+      ${toggle}<span class="outline-name">${escapeHtml(d.data.name)}</span>${count}${dot}
+    </div>`;
+  }
+
+  // Draw the rows in (and just around) the scrolled window
+  function draw() {
+    frame = null;
+    const height = body.clientHeight || ROW_HEIGHT * 40;
+    const start = Math.max(0, Math.floor(body.scrollTop / ROW_HEIGHT) - OVERSCAN);
+    const end = Math.min(rows.length, Math.ceil((body.scrollTop + height) / ROW_HEIGHT) + OVERSCAN);
+    list.style.transform = `translateY(${start * ROW_HEIGHT}px)`;
+    list.innerHTML = rows.slice(start, end).map((d, i) => rowHtml(d, start + i)).join('');
+  }
+
+  function requestDraw() {
+    if (frame === null) frame = requestAnimationFrame(draw);
+  }
+
+  function toggle(d) {
+    if (expanded.has(d)) expanded.delete(d);
+    else expanded.add(d);
+    flatten();
+    requestDraw();
+  }
+
+  /**
+   * Unfold a node's ancestors, select its row and scroll it into view
+   * @param {Object} d - Hierarchy node, or null to clear the selection
+   */
+  function reveal(d) {
+    selected = d || null;
+    if (d) {
+      d.ancestors().slice(1).forEach(a => expanded.add(a));
+      flatten();
+      const top = rowIndex.get(d) * ROW_HEIGHT;
+      const height = body.clientHeight;
+      if (top < body.scrollTop || top + ROW_HEIGHT > body.scrollTop + height) {
+        body.scrollTop = Math.max(0, top - height / 2);
+      }
+    }
+    requestDraw();
+  }
+
+  /**
+   * Mark search matches
+   * @param {Set} ids - Matching taxon IDs
+   */
+  function setMatchIds(ids) {
+    matches = new Set();
+    containsMatch = new Set();
+    (ids || []).forEach(id => {
+      const d = idToNode.get(id);
+      if (!d) return;
+      matches.add(d);
+      d.ancestors().slice(1).forEach(a => containsMatch.add(a));
+    });
+    requestDraw();
+  }
+
+  function expandAll() {
+    root.each(d => {
+      if (d.children) expanded.add(d);
+    });
+    flatten();
+    requestDraw();
+  }
+
+  function collapseAll() {
+    expanded.clear();
+    expanded.add(root);
+    body.scrollTop = 0;
+    flatten();
+    requestDraw();
+  }
+
+  // Named listeners replace those of the previously rendered tree
+  d3.select(body)
+    .on('scroll.outline', requestDraw)
+    .on('click.outline', event => {
+      const row = event.target.closest('.outline-row');
+      if (!row) return;
+      const d = rows[Number(row.dataset.index)];
+      if (!d) return;
+      if (event.target.closest('.outline-toggle')) {
+        if (d.children) toggle(d);
+      } else {
+        onSelect(d);
+      }
+    });
+  d3.select('#outlineExpandAll').on('click.outline', expandAll);
+  d3.select('#outlineCollapseAll').on('click.outline', collapseAll);
+
+  unsubscribe = onViewChange(change => {
+    if ('highlightedNode' in change) {
+      const d = change.highlightedNode;
+      reveal(d ? idToNode.get(d.data.id) || null : null);
+    }
+    if ('matchIds' in change) setMatchIds(change.matchIds);
+  });
+
+  flatten();
+  draw();
+  return { reveal, setMatchIds, expandAll, collapseAll };
+}
@@ -0,0 +1,102 @@
+// Rank guides for the radial layout: concentric rings at the class, order, family, genus
+// and species levels, and node placement by rank instead of by tree depth
+// Ranks come from inferTreeRanks (ranks.js). Each ring sits at the median radius of the
+// visible nodes of its rank; with alignment on, every node of a rank is at the same radius,
+// so the rings go through them. Rings are drawn outside the rotated group, so their labels
+// stay at the top of the chart.
+// Usage:
+//   renderMammalTree({ ..., rankGuides: getRankGuides() });      // the default
+//   view.layout = alignLayoutByRank(view.layout, ranks, radius);
+//   const rings = drawRankRings(gViewport, root, ranks, { isHidden });
+//   rings.update();                                              // after a re-layout
+//   setupRankGuideControls({ onChange: () => { ... } });         // re-render
+
+import { rankLevels } from './ranks.js';
+
+export const GUIDE_RANKS = ['class', 'order', 'family', 'genus', 'species'];
+const MIN_RING_RADIUS = 2; // A rank at the center (usually the root) gets no ring
+
+// rings: draw the guide rings; align: place nodes by rank
+let current = { rings: false, align: false };
+
+/**
+ * Rank guide options used for new renders
+ * @returns {Object} { rings, align }
+ */
+export function getRankGuides() {
+  return { ...current };
+}
+
+/**
+ * Wrap a radial layout so nodes are placed at the radius of their rank
+ * Levels are recomputed on every call, so collapsed clades (laid out without their
+ * children) are placed like the rest.
+ * @param {Function} layout - (root) => void, e.g. view.layout of the radial layout
+ * @param {Map} ranks - d3 node -> rank, from inferTreeRanks
+ * @param {number} radius - Radius of the outermost level
+ * @returns {Function} (root) => void
+ */
+export function alignLayoutByRank(layout, ranks, radius) {
+  return root => {
+    layout(root);
+    const levels = rankLevels(root, ranks);
+    const min = levels.get(root);
+    const span = (d3.max(levels.values()) - min) || 1;
+    root.each(d => {
+      d.y = ((levels.get(d) - min) / span) * radius;
+    });
+  };
+}
+
+/**
+ * Draw labelled rank rings behind a rendered radial tree
+ * @param {Object} container - d3 selection of the zoomed (not rotated) group holding the tree
+ * @param {Object} root - d3.hierarchy root, laid out
+ * @param {Map} ranks - d3 node -> rank, from inferTreeRanks
+ * @param {Object} options - { isHidden(d) } for nodes inside collapsed clades
+ * @returns {Object} { update() } moves the rings to the current layout
+ */
+export function drawRankRings(container, root, ranks, { isHidden = () => false } = {}) {
+  const g = container.insert('g', ':first-child')
+    .attr('class', 'rank-rings')
+    .attr('pointer-events', 'none');
+
+  function update() {
+    const rings = GUIDE_RANKS.map(rank => {
+      const radii = root.descendants().filter(d => ranks.get(d) === rank && !isHidden(d)).map(d => d.y);
+      return { rank, count: radii.length, r: d3.median(radii) };
+    }).filter(ring => ring.count && ring.r >= MIN_RING_RADIUS);
+
+    const ring = g.selectAll('g.rank-ring')
+      .data(rings, ring => ring.rank)
+      .join(enter => {
+        const e = enter.append('g').attr('class', 'rank-ring');
+        e.append('circle');
+        e.append('text').attr('text-anchor', 'middle').attr('dy', '-0.3em');
+        return e;
+      });
+    ring.select('circle').attr('r', d => d.r);
+    ring.select('text')
+      .attr('y', d => -d.r)
+      .text(d => `${d.rank[0].toUpperCase()}${d.rank.slice(1)} (${d.count})`);
+  }
+
+  update();
+  return { update };
+}
+
+/**
+ * Wire the #rankRingsToggle and #rankAlignToggle checkboxes
+ * @param {Object} options - { onChange(guides) } re-renders the tree with the new options
+ */
+export function setupRankGuideControls({ onChange }) {
+  const ringsToggle = document.getElementById('rankRingsToggle');
+  const alignToggle = document.getElementById('rankAlignToggle');
+  if (!ringsToggle || !alignToggle) return;
+  ringsToggle.checked = current.rings;
+  alignToggle.checked = current.align;
+  [ringsToggle, alignToggle].forEach(toggle => toggle.addEventListener('change', () => {
+    current = { rings: ringsToggle.checked, align: alignToggle.checked };
+    onChange(getRankGuides());
+  }));
+}
@@ -0,0 +1,200 @@
+// Taxonomic rank inference from taxon names
+// Ranks supplied with the data win: a row's rank column (rank, taxonrank, ...; see
+// importData.js) is stored on its node by pathsToTree as data.rank. Other ranks are read
+// from standard nomenclatural suffixes (-iformes, -oidea, -idae, -inae, -ini, ...), from
+// binomial/trinomial names and from a few well-known higher taxa without a rank suffix.
+// Usage:
+//   inferRank('Muridae');                 // 'family'
+//   inferRank('Mus musculus');            // 'species'
+//   normalizeRank('Sub-family');          // 'subfamily' (ranks given in the data)
+//   const ranks = inferTreeRanks(root);   // Map(d3 node -> rank or null), also detects genera
+//   rankIndex('family') < rankIndex('genus');
+//   const levels = rankLevels(root, ranks); // Map(d3 node -> position on the RANKS scale)
+
+// Ordered from the top of the hierarchy down
+export const RANKS = [
+  'kingdom',
+  'phylum',
+  'subphylum',
+  'class',
+  'subclass',
+  'infraclass',
+  'superorder',
+  'order',
+  'suborder',
+  'infraorder',
+  'parvorder',
+  'superfamily',
+  'family',
+  'subfamily',
+  'tribe',
+  'subtribe',
+  'genus',
+  'subgenus',
+  'species',
+  'subspecies'
+];
+
+// Checked in order, so longer suffixes come before the shorter ones they end with.
+// Rules marked internal only apply to names with children: many genera end in -ina
+// (Blarina, Lutreolina), and a genus without species in the data is a leaf.
+const SUFFIX_RULES = [
+  ['iformes', 'order'],
+  ['oideae', 'subfamily'],
+  ['aceae', 'family'],
+  ['ineae', 'suborder'],
+  ['oidea', 'superfamily'],
+  ['opsida', 'class'],
+  ['phyta', 'phylum'],
+  ['ales', 'order'],
+  ['idae', 'family'],
+  ['inae', 'subfamily'],
+  ['eae', 'tribe'],
+  ['ini', 'tribe'],
+  ['ina', 'subtribe', { internal: true }]
+];
+
+// Higher taxa whose names carry no rank suffix
+const KNOWN_RANKS = {
+  animalia: 'kingdom',
+  plantae: 'kingdom',
+  chordata: 'phylum',
+  vertebrata: 'subphylum',
+  mammalia: 'class',
+  aves: 'class',
+  reptilia: 'class',
+  amphibia: 'class',
+  actinopterygii: 'class',
+  insecta: 'class',
+  theria: 'subclass',
+  prototheria: 'subclass',
+  eutheria: 'infraclass',
+  metatheria: 'infraclass',
+  marsupialia: 'infraclass',
+  placentalia: 'infraclass'
+};
+// Mammal orders (the default tree), which have no common suffix
+['monotremata', 'didelphimorphia', 'paucituberculata', 'microbiotheria', 'dasyuromorphia',
+  'notoryctemorphia', 'peramelemorphia', 'diprotodontia', 'afrosoricida', 'macroscelidea',
+  'tubulidentata', 'hyracoidea', 'proboscidea', 'sirenia', 'cingulata', 'pilosa', 'scandentia',
+  'dermoptera', 'primates', 'lagomorpha', 'rodentia', 'eulipotyphla', 'soricomorpha',
+  'erinaceomorpha', 'insectivora', 'chiroptera', 'pholidota', 'carnivora', 'perissodactyla',
+  'artiodactyla', 'cetartiodactyla', 'cetacea'].forEach(name => { KNOWN_RANKS[name] = 'order'; });
+
+// Spellings of ranks found in data files
+const RANK_ALIASES = {
+  'sub-class': 'subclass',
+  'super-order': 'superorder',
+  'sub-order': 'suborder',
+  'infra-order': 'infraorder',
+  'super-family': 'superfamily',
+  'sub-family': 'subfamily',
+  'sub-tribe': 'subtribe',
+  'sub-genus': 'subgenus',
+  'sub-species': 'subspecies',
+  ssp: 'subspecies',
+  sp: 'species'
+};
+
+/**
+ * Position of a rank in RANKS (-1 if unknown)
+ * @param {string} rank - Rank name
+ * @returns {number} Index, larger is lower in the hierarchy
+ */
+export function rankIndex(rank) {
+  return RANKS.indexOf(rank);
+}
+
+/**
+ * Read a rank given in the data
+ * @param {string} value - Rank as written in a file (any case, e.g. 'Family', 'sub-family')
+ * @returns {string|null} Rank from RANKS, or null if it is not one
+ */
+export function normalizeRank(value) {
+  const rank = String(value ?? '').trim().toLowerCase().replace(/\.$/, '');
+  const known = RANK_ALIASES[rank] || rank;
+  return RANKS.includes(known) ? known : null;
+}
+
+/**
+ * Infer the rank of a single taxon name
+ * @param {string} name - Taxon name
+ * @param {Object} options - { isLeaf } the taxon has no children (skips internal-only suffixes)
+ * @returns {string|null} Rank from RANKS, or null if the name gives no hint
+ */
+export function inferRank(name, { isLeaf = false } = {}) {
+  let words = String(name || '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return null;
+  // Mus (Pyromys) is a subgenus; Mus (Pyromys) saxicola a species
+  if (words.length > 1 && /^\(.+\)$/.test(words[1])) {
+    if (words.length === 2) return 'subgenus';
+    words = [words[0], ...words.slice(2)];
+  }
+  if (words.length > 1 && /^[a-z]/.test(words[1])) {
+    return words.length > 2 && /^[a-z]/.test(words[2]) ? 'subspecies' : 'species';
+  }
+  if (words.length > 1 || !/^[A-Z]/.test(words[0])) return null;
+  const lower = words[0].toLowerCase();
+  if (KNOWN_RANKS[lower]) return KNOWN_RANKS[lower];
+  const rule = SUFFIX_RULES.find(([suffix, , { internal = false } = {}]) => lower.endsWith(suffix) && !(internal && isLeaf));
+  return rule ? rule[1] : null;
+}
+
+/**
+ * Infer ranks for every node of a hierarchy
+ * A rank given in the data (data.rank) is used as it is. Otherwise a name is taken as a
+ * genus when one of its children is a species named after it (e.g. Mus -> Mus musculus),
+ * which also catches genera whose names end like a rank suffix (Lutreolina).
+ * @param {Object} root - d3.hierarchy root
+ * @returns {Map} d3 node -> rank or null
+ */
+export function inferTreeRanks(root) {
+  const ranks = new Map();
+  root.each(d => {
+    let rank = normalizeRank(d.data.rank);
+    if (!rank && d.children) {
+      const prefix = `${d.data.name} `;
+      const namesSpecies = d.children.some(c => c.data.name.startsWith(prefix) && inferRank(c.data.name) === 'species');
+      if (namesSpecies) rank = 'genus';
+    }
+    ranks.set(d, rank || inferRank(d.data.name, { isLeaf: !d.children }));
+  });
+  return ranks;
+}
+
+/**
+ * Place every node of a hierarchy on the RANKS scale, e.g. to line up equal ranks
+ * A node of known rank sits at its rankIndex. A node of unknown rank (or one ranked
+ * at or above its parent) sits halfway between its parent and the nearest known rank
+ * below it, or one step below its parent when nothing below is known.
+ * @param {Object} root - d3.hierarchy root (only the current children are visited)
+ * @param {Map} ranks - d3 node -> rank, from inferTreeRanks
+ * @returns {Map} d3 node -> level (fractional for unknown ranks)
+ */
+export function rankLevels(root, ranks) {
+  const known = d => rankIndex(ranks.get(d));
+  // Highest known rank below each node
+  const below = new Map();
+  root.eachAfter(d => {
+    let min = Infinity;
+    (d.children || []).forEach(c => {
+      min = Math.min(min, known(c) >= 0 ? known(c) : below.get(c));
+    });
+    below.set(d, min);
+  });
+
+  const levels = new Map();
+  root.eachBefore(d => {
+    if (!d.parent) {
+      const next = below.get(d);
+      levels.set(d, known(d) >= 0 ? known(d) : (Number.isFinite(next) ? next - 1 : 0));
+      return;
+    }
+    const above = levels.get(d.parent);
+    const next = below.get(d);
+    if (known(d) > above) levels.set(d, known(d));
+    else if (Number.isFinite(next) && next > above) levels.set(d, (above + next) / 2);
+    else levels.set(d, above + 1);
+  });
+  return levels;
+}
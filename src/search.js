@@ -8,8 +8,20 @@
 //     info,                    // info panel object with show() and clear() methods
 //     setCurrentRotate,         // function to set current rotation
 //     updateRotate,             // function to update rotation transform
-//     updateLabelOrientation    // function to update label orientation
+//     updateLabelOrientation,   // function to update label orientation
+//     revealNode,               // optional: expand collapsed ancestors before focusing
+//     tolerance                 // optional: typo tolerance, 'auto' or edits (default: #searchTolerance)
 //   });
+// Returns { search(q), selectMatch(id), pick(id) } for restoring a saved search.
+// With "All groups" checked, queries go to globalSearch.js instead of this tree.
+// Queries that run are added to the search history (see searchHistory.js).
+// While typing, the best matches are suggested under the box (see autocomplete.js);
+// picking one focuses it like a search with a single match.
+// Name matches are typo-tolerant and ranked (see fuzzyMatch.js): hits on a taxon's own
+// name come first, valid names before synonyms, then hits found only through synonym names.
+// Names are looked up in an index built once per tree (see searchIndex.js).
+// Queries with field filters or boolean operators (e.g. `under:"Rodentia" -Muridae`) are
+// evaluated on every node instead (see searchQuery.js); syntax errors show in #info.
 
 import {
   getAllSynonymIds,
@@ -19,6 +31,17 @@ import {
   isSynonymsReady
 } from './synonyms.js';
 import { setHighlightedPath, clearHighlightedPath, setMatchIds } from './viewSwitch.js';
+import { updateUrlState } from './urlState.js';
+import { MATCH_SCORES, MATCH_LABELS } from './fuzzyMatch.js';
+import { buildSearchIndex } from './searchIndex.js';
+import { isStructuredQuery, compileQuery } from './searchQuery.js';
+import { isGlobalSearch, showGlobalResults } from './globalSearch.js';
+import { recordSearch, recordPickedNode } from './searchHistory.js';
+import { setupAutocomplete } from './autocomplete.js';
+import { synonymNetworkButton, showSynonymNetwork } from './synonymNetwork.js';
+import { escapeHtml } from './html.js';
+
+const VALID_NAME_BONUS = 5; // Ranks a valid name above a synonym matched the same way
 
 export function setupSearch({
   root,
@@ -27,17 +50,29 @@ export function setupSearch({
   info,
   setCurrentRotate,
   updateRotate,
-  updateLabelOrientation
+  updateLabelOrientation,
+  revealNode = null,
+  tolerance = null
 }) {
   const idToNode = new Map();
-  root.descendants().forEach(n => idToNode.set(n.data.id, n));
+  const treeOrder = new Map(); // Node -> position in root.descendants()
+  const firstTreeOrder = new Map(); // ID -> position of its first node
+  root.descendants().forEach((n, i) => {
+    idToNode.set(n.data.id, n);
+    treeOrder.set(n, i);
+    if (!firstTreeOrder.has(n.data.id)) firstTreeOrder.set(n.data.id, i);
+  });
+  let searchIndex = null; // Built on the first name search (see searchIndex.js)
+  let searchIndexHasSynonyms = false;
   let currentMatches = [];
   let currentMatchIndex = -1;
   let isShowingDetails = false; // Track if we're showing details of a single result
   let primaryMatchIds = new Set(); // IDs that directly matched the search query
   let synonymMatchIds = new Set(); // IDs that matched through synonym relationships
+  let relevance = new Map(); // ID -> { score, kind, distance, direct } for ranking and the results list
 
   function focusNode(d) {
+    if (revealNode) revealNode(d);
     setCurrentRotate(90 - (d.x * 180 / Math.PI));
     updateRotate();
     updateLabelOrientation();
@@ -138,9 +173,17 @@ export function setupSearch({
         </button>
       ` : '';
 
+      // How the entry matched, e.g. "similar (1 edit)"
+      const rank = relevance.get(m.data.id);
+      const matchLabel = rank && rank.kind ? `<span style="
+            margin-left: 6px;
+            font-size: 11px;
+            color: #6b7280;
+          " title="Relevance ${rank.score.toFixed(1)}">${rank.direct ? '' : 'via synonym · '}${MATCH_LABELS[rank.kind]}${rank.distance ? ` (${rank.distance} edit${rank.distance === 1 ? '' : 's'})` : ''}</span>` : '';
+
       return `<div style="cursor:pointer;padding:6px 0;border-bottom:1px solid #e5e7eb;" data-index="${idx}" class="search-result-item">
         <div style="display:flex;flex-direction:column;gap:2px;">
-          <div>${path}</div>
+          <div>${path}${matchLabel}</div>
           ${synonymBadge ? `<div style="font-size:12px;">${synonymBadge}</div>` : ''}
           ${goToTreeBtn}
         </div>
@@ -165,6 +208,7 @@ export function setupSearch({
         const selectedNode = currentMatches[idx];
         focusNode(selectedNode);
         showNodeDetails(selectedNode);
+        recordPickedNode(selectedNode);
       });
       item.addEventListener('mouseenter', () => {
         item.style.backgroundColor = '#f3f4f6';
@@ -404,6 +448,9 @@ export function setupSearch({
       </button>
     ` : '';
 
+    // "Synonym Network" when the taxon or its clade has synonym records
+    const networkButton = synonymNetworkButton(selectedNode, 'showSynonymNetwork');
+
     panel.innerHTML = `
       <div style="font-weight:600;margin-bottom:6px;">Search Results (${currentMatches.length} matches)</div>
       <div style="margin-bottom:8px;"><strong>Path:</strong> ${names.map(n => `<div style="margin-left:12px;">${n}</div>`).join('')}</div>
@@ -411,6 +458,7 @@ export function setupSearch({
       <div style="display: flex; gap: 8px; flex-wrap: wrap;">
         ${backButton}
         ${goToTreeButton}
+        ${networkButton}
       </div>
     `;
     panel.style.display = 'block';
@@ -433,51 +481,85 @@ export function setupSearch({
         window.navigateToNode(nodeData.id, nodeData.name, taxagroupid);
       });
     }
+
+    const networkBtn = document.getElementById('showSynonymNetwork');
+    if (networkBtn) networkBtn.addEventListener('click', () => showSynonymNetwork(selectedNode));
   }
 
   const searchInput = document.getElementById('searchInput');
   const searchBtn = document.getElementById('searchBtn');
+  const toleranceSelect = document.getElementById('searchTolerance');
 
-  function runSearch() {
-    if (!searchInput) return;
-    const q = searchInput.value.trim();
-
-    // Clear previous focus labels before starting new search
-    if (info) info.clear();
+  // Typo tolerance from the search row: 'auto' or a number of edits
+  function readTolerance() {
+    return toleranceSelect ? toleranceSelect.value : 'auto';
+  }
 
-    if (!q) {
-      // Clear search results
-      currentMatches = [];
-      currentMatchIndex = -1;
-      primaryMatchIds = new Set();
-      synonymMatchIds = new Set();
-      link.classed('highlight', false);
-      link.classed('highlight-synonym', false);
-      node.select('text').classed('highlight', false);
-      node.select('text').classed('highlight-synonym', false);
-      clearHighlightedPath();
-      return;
+  // The tree is fixed for this render; the index is only rebuilt once synonyms arrive
+  function getSearchIndex() {
+    const withSynonyms = isSynonymsReady();
+    if (!searchIndex || searchIndexHasSynonyms !== withSynonyms) {
+      searchIndex = buildSearchIndex(root.descendants(), withSynonyms ? getAllSynonymNames : null);
+      searchIndexHasSynonyms = withSynonyms;
     }
+    return searchIndex;
+  }
+
+  // Node of a taxon ID; a synonym that is not a node of its own (merged or hidden, see
+  // synonymFilter.js) resolves to the node of its valid taxon
+  function nodeForId(id) {
+    if (idToNode.has(id)) return idToNode.get(id);
+    if (!isSynonymsReady()) return null;
+    const inTree = [...getAllSynonymIds(id)].find(synId => idToNode.has(synId));
+    return inTree === undefined ? null : idToNode.get(inTree);
+  }
 
+  /**
+   * Find and rank the nodes matching a query (by ID, name, synonym name or structured query)
+   * @param {string} q - Search query
+   * @returns {Object} { matches, primaryIds, synonymIds, relevance } with matches in ranked order
+   * @throws {Error} If a structured query does not parse
+   */
+  function rankMatches(q) {
     let matches = [];
     const matchedIds = new Set(); // Track matched node IDs to avoid duplicates
-    primaryMatchIds = new Set(); // Reset primary matches
-    synonymMatchIds = new Set(); // Reset synonym matches
+    const primaryIds = new Set(); // IDs that directly matched the query
+    const synonymIds = new Set(); // IDs that matched through synonym relationships
+    const relevance = new Map(); // ID -> { score, kind, distance, direct }
+
+    // Relevance of a hit; valid names get a small bonus over synonyms matched the same way
+    function rate(id, match, direct) {
+      const validBonus = direct && !(isSynonymsReady() && isInvalidId(id)) ? VALID_NAME_BONUS : 0;
+      relevance.set(id, { ...match, score: match.score + validBonus, direct });
+    }
 
     const id = Number(q);
-    if (!Number.isNaN(id) && idToNode.has(id)) {
+    if (isStructuredQuery(q)) {
+      // Field filters and boolean operators: every node the query accepts is a primary match
+      const accepts = compileQuery(q);
+      root.descendants().forEach(n => {
+        if (matchedIds.has(n.data.id) || !accepts(n)) return;
+        matches.push(n);
+        matchedIds.add(n.data.id);
+        primaryIds.add(n.data.id);
+      });
+    } else if (!Number.isNaN(id) && nodeForId(id)) {
       // Exact ID match - check for synonyms if available
-      primaryMatchIds.add(id); // The searched ID is primary
+      // (a synonym without a node of its own is found as its valid taxon's node)
+      const foundId = nodeForId(id).data.id;
+      primaryIds.add(foundId); // The searched ID is primary
+      rate(foundId, { kind: 'exact', distance: 0, score: MATCH_SCORES.exact }, true);
 
       if (isSynonymsReady()) {
-        const allSynonymIds = getAllSynonymIds(id);
+        const allSynonymIds = getAllSynonymIds(foundId);
         allSynonymIds.forEach(synId => {
           if (idToNode.has(synId) && !matchedIds.has(synId)) {
             matches.push(idToNode.get(synId));
             matchedIds.add(synId);
             // Mark as synonym if it's not the original ID
-            if (synId !== id) {
-              synonymMatchIds.add(synId);
+            if (synId !== foundId) {
+              synonymIds.add(synId);
+              rate(synId, { kind: null, distance: 0, score: 0 }, false);
             }
           }
         });
@@ -487,44 +569,35 @@ export function setupSearch({
         matchedIds.add(id);
       }
     } else {
-      // Fuzzy name search - find all matches including synonyms
-      const lower = q.toLowerCase();
-
-      // First pass: direct name matches
-      const directMatches = root.descendants().filter(n =>
-        (n.data.name || '').toLowerCase().includes(lower)
-      );
-
-      // Add direct matches as primary
-      directMatches.forEach(n => {
-        if (!matchedIds.has(n.data.id)) {
-          matches.push(n);
-          matchedIds.add(n.data.id);
-          primaryMatchIds.add(n.data.id);
-        }
+      // Name search (typo-tolerant) - find all matches including synonyms
+      const searchTolerance = tolerance ?? readTolerance();
+      const index = getSearchIndex();
+
+      // First pass: direct name matches, in tree order
+      const nameMatches = index.matchNames(q, searchTolerance);
+      [...nameMatches.keys()].sort((a, b) => treeOrder.get(a) - treeOrder.get(b)).forEach(n => {
+        if (matchedIds.has(n.data.id)) return;
+        // Add direct matches as primary
+        matches.push(n);
+        matchedIds.add(n.data.id);
+        primaryIds.add(n.data.id);
+        rate(n.data.id, nameMatches.get(n), true);
       });
 
       // Second pass: check synonyms if available
       if (isSynonymsReady()) {
-        // Track which nodes match through synonym names
-        const synonymNameMatches = new Set();
+        // Best synonym-name match of every node that has one
+        const synonymNameBest = index.matchSynonyms(q, searchTolerance);
 
-        // Check if any synonym names match the search term
-        root.descendants().forEach(n => {
-          if (matchedIds.has(n.data.id)) return; // Already matched as primary
-
-          const allSynonymNames = getAllSynonymNames(n.data.id);
-          const hasMatchingSynonym = Array.from(allSynonymNames).some(name =>
-            name.toLowerCase().includes(lower)
-          );
-
-          if (hasMatchingSynonym) {
-            synonymNameMatches.add(n.data.id);
-          }
-        });
+        // Track which nodes match through synonym names (ID -> best synonym-name match)
+        const synonymNameMatches = new Map();
+        [...synonymNameBest.keys()]
+          .filter(nodeId => !matchedIds.has(nodeId)) // Already matched as primary
+          .sort((a, b) => firstTreeOrder.get(a) - firstTreeOrder.get(b))
+          .forEach(nodeId => synonymNameMatches.set(nodeId, synonymNameBest.get(nodeId)));
 
         // Add all related synonym IDs
-        const allPrimaryIds = new Set(primaryMatchIds);
+        const allPrimaryIds = new Set(primaryIds);
         allPrimaryIds.forEach(primaryId => {
           const allSynonymIds = getAllSynonymIds(primaryId);
           allSynonymIds.forEach(synId => {
@@ -532,36 +605,99 @@ export function setupSearch({
               matches.push(idToNode.get(synId));
               matchedIds.add(synId);
               // Only mark as synonym if it's not already a primary match
-              if (!primaryMatchIds.has(synId)) {
-                synonymMatchIds.add(synId);
+              if (!primaryIds.has(synId)) {
+                synonymIds.add(synId);
               }
+              // Scored like the taxon it is a synonym of
+              rate(synId, relevance.get(primaryId), false);
             }
           });
         });
 
         // Add nodes matched through synonym names
-        synonymNameMatches.forEach(nodeId => {
+        synonymNameMatches.forEach((m, nodeId) => {
           const allSynonymIds = getAllSynonymIds(nodeId);
           allSynonymIds.forEach(synId => {
             if (idToNode.has(synId) && !matchedIds.has(synId)) {
               matches.push(idToNode.get(synId));
               matchedIds.add(synId);
               // If this ID matches the search in its synonym name, mark as primary
-              const allNames = getAllSynonymNames(synId);
-              const matchesDirectly = Array.from(allNames).some(name =>
-                name.toLowerCase().includes(lower)
-              );
-              if (matchesDirectly) {
-                primaryMatchIds.add(synId);
+              const direct = synonymNameBest.get(synId);
+              if (direct) {
+                primaryIds.add(synId);
               } else {
-                synonymMatchIds.add(synId);
+                synonymIds.add(synId);
               }
+              rate(synId, direct || m, false);
             }
           });
         });
       }
     }
 
+    // Rank: own-name hits before synonym-only hits, then by score, shallower taxa, name
+    const rankOf = n => relevance.get(n.data.id) || { score: 0, direct: false };
+    matches.sort((a, b) => {
+      const ra = rankOf(a);
+      const rb = rankOf(b);
+      return (rb.direct - ra.direct) ||
+        (rb.score - ra.score) ||
+        (a.depth - b.depth) ||
+        String(a.data.name).localeCompare(String(b.data.name));
+    });
+
+    return { matches, primaryIds, synonymIds, relevance };
+  }
+
+  function runSearch() {
+    if (!searchInput) return;
+    const q = searchInput.value.trim();
+    updateUrlState({ q });
+
+    // Clear previous focus labels before starting new search
+    if (info) info.clear();
+
+    if (!q) {
+      // Clear search results
+      currentMatches = [];
+      currentMatchIndex = -1;
+      primaryMatchIds = new Set();
+      synonymMatchIds = new Set();
+      link.classed('highlight', false);
+      link.classed('highlight-synonym', false);
+      node.select('text').classed('highlight', false);
+      node.select('text').classed('highlight-synonym', false);
+      clearHighlightedPath();
+      return;
+    }
+
+    if (isGlobalSearch()) {
+      // Hits in other groups: nothing to highlight here until one is opened
+      currentMatches = [];
+      currentMatchIndex = -1;
+      primaryMatchIds = new Set();
+      synonymMatchIds = new Set();
+      setMatchIds(new Set());
+      highlightAllMatches([]);
+      clearHighlightedPath();
+      showGlobalResults(q, tolerance ?? readTolerance());
+      recordSearch(q, { global: true });
+      return;
+    }
+
+    let ranked;
+    try {
+      ranked = rankMatches(q);
+    } catch (error) {
+      showQueryError(q, error);
+      return;
+    }
+    recordSearch(q);
+    const matches = ranked.matches;
+    primaryMatchIds = ranked.primaryIds;
+    synonymMatchIds = ranked.synonymIds;
+    relevance = ranked.relevance;
+
     currentMatches = matches;
     currentMatchIndex = -1;
 
@@ -632,9 +768,70 @@ export function setupSearch({
     }
   }
 
-  if (searchBtn) searchBtn.addEventListener('click', runSearch);
+  // A structured query that does not parse: no matches, and the reason in #info
+  function showQueryError(q, error) {
+    currentMatches = [];
+    currentMatchIndex = -1;
+    primaryMatchIds = new Set();
+    synonymMatchIds = new Set();
+    relevance = new Map();
+    setMatchIds(new Set());
+    highlightAllMatches([]);
+    clearHighlightedPath();
+    const panel = document.getElementById('info');
+    if (!panel) return;
+    panel.innerHTML = `
+      <div style="font-weight:600;margin-bottom:6px;">Search Results</div>
+      <div style="color:#b91c1c;margin-bottom:6px;">Could not read "${escapeHtml(q)}": ${escapeHtml(error.message)}</div>
+      <div style="font-size:12px;color:#6b7280;">
+        Fields: name, group, id, depth, under, synonym, leaf, synonymtype, modified.
+        Combine with AND, OR, NOT (or -) and parentheses, e.g. <code>under:"Rodentia" -Muridae</code>
+      </div>
+    `;
+    panel.style.display = 'block';
+  }
+
+  // A picked suggestion is shown like the only match of a search
+  function pickSuggestion(selectedNode) {
+    searchInput.value = selectedNode.data.name;
+    updateUrlState({ q: selectedNode.data.name });
+    if (info) info.clear();
+    currentMatches = [selectedNode];
+    currentMatchIndex = 0;
+    primaryMatchIds = new Set([selectedNode.data.id]);
+    synonymMatchIds = new Set();
+    setMatchIds(new Set(primaryMatchIds));
+    isShowingDetails = true;
+    focusNode(selectedNode);
+    showNodeDetails(selectedNode);
+    recordPickedNode(selectedNode);
+  }
+
+  const suggestions = setupAutocomplete({
+    input: searchInput,
+    list: document.getElementById('searchSuggestions'),
+    suggest: q => {
+      if (isGlobalSearch()) return [];
+      let ranked;
+      try {
+        ranked = rankMatches(q);
+      } catch (error) {
+        return []; // A structured query still being typed
+      }
+      return ranked.matches.map(n => ({ node: n, match: ranked.relevance.get(n.data.id) }));
+    },
+    onPick: pickSuggestion
+  });
+
+  // Named d3 listeners replace those of the previously rendered tree
+  if (searchBtn) d3.select(searchBtn).on('click.search', () => {
+    suggestions.close();
+    runSearch();
+  });
   if (searchInput) {
-    searchInput.addEventListener('keydown', (e) => {
+    d3.select(searchInput).on('keydown.search', (e) => {
+      // Arrow keys, Enter and Escape go to the suggestion list while it is open
+      if (suggestions.handleKey(e)) return;
       if (e.key === 'Enter') {
         runSearch();
       } else if (e.key === 'ArrowDown' && currentMatches.length > 0) {
@@ -651,8 +848,15 @@ export function setupSearch({
         focusNode(selectedNode);
       }
     });
+    // A different typo tolerance or scope re-runs the current search
+    [toleranceSelect, document.getElementById('searchGlobal')].forEach(control => {
+      if (!control) return;
+      d3.select(control).on('change.search', () => {
+        if (searchInput.value.trim()) runSearch();
+      });
+    });
     // Clear results when input is cleared
-    searchInput.addEventListener('input', (e) => {
+    d3.select(searchInput).on('input.search', (e) => {
       if (!e.target.value.trim()) {
         currentMatches = [];
         currentMatchIndex = -1;
@@ -663,9 +867,50 @@ export function setupSearch({
         node.select('text').classed('highlight', false);
         node.select('text').classed('highlight-synonym', false);
         clearHighlightedPath();
+        updateUrlState({ q: null });
         if (info) info.clear();
       }
     });
   }
-}
 
+  /**
+   * Run a search as if the query had been typed into the search box
+   * @param {string} q - Search query
+   * @returns {Array} Matched d3.hierarchy nodes
+   */
+  function search(q) {
+    if (!searchInput) return [];
+    searchInput.value = q;
+    runSearch();
+    return currentMatches;
+  }
+
+  /**
+   * Select one of the current matches, as clicking it in the results list does
+   * @param {number} id - Node ID
+   * @returns {boolean} True if the ID is among the current matches
+   */
+  function selectMatch(id) {
+    const idx = currentMatches.findIndex(m => m.data.id === id);
+    if (idx < 0) return false;
+    currentMatchIndex = idx;
+    isShowingDetails = true;
+    focusNode(currentMatches[idx]);
+    showNodeDetails(currentMatches[idx]);
+    return true;
+  }
+
+  /**
+   * Focus any node of the tree as the only result of a search
+   * @param {number} id - Node ID
+   * @returns {boolean} True if the node is in this tree
+   */
+  function pick(id) {
+    const selectedNode = nodeForId(id);
+    if (!selectedNode) return false;
+    pickSuggestion(selectedNode);
+    return true;
+  }
+
+  return { search, selectMatch, pick };
+}
@@ -2,9 +2,25 @@
 // Also displays taxon name label on the dendrogram
 // Usage:
 //   const info = setupFocusInfo(node, getCurrentRotate);
+//   const info = setupFocusInfo(node, getCurrentRotate, placeLabel); // other layouts (null: no path labels)
 //   info.show(d); // to display d and its ancestors + label on dendrogram
 //   info.clear(); // to hide
-export function setupFocusInfo(nodeSelection, getCurrentRotate = () => 0) {
+import { synonymNetworkButton, showSynonymNetwork } from './synonymNetwork.js';
+
+// Default path label placement for the radial tree: outside the node, flipped on the left half
+function placeRadialLabel(label, currentRotate) {
+  const rotRad = (currentRotate * Math.PI) / 180;
+  const tau = Math.PI * 2;
+  function outward(node) {
+    return ((node.x + rotRad) % tau + tau) % tau < Math.PI;
+  }
+  label
+    .attr('x', node => (outward(node) === !node.children ? 16 : -16))
+    .attr('text-anchor', node => (outward(node) === !node.children ? 'start' : 'end'))
+    .attr('transform', node => outward(node) ? null : 'rotate(180)');
+}
+
+export function setupFocusInfo(nodeSelection, getCurrentRotate = () => 0, placeLabel = placeRadialLabel) {
   const panel = document.getElementById('info');
   let currentNode = null; // Store current node for button handler
 
@@ -45,10 +61,16 @@ export function setupFocusInfo(nodeSelection, getCurrentRotate = () => 0) {
       </button>
     ` : '';
 
+    // "Synonym Network" when the taxon or its clade has synonym records
+    const networkButton = synonymNetworkButton(d, 'synonymNetworkFromClick');
+
     panel.innerHTML = `
       <div style="font-weight:600;margin-bottom:6px;">Search Results (${names.length} matches)</div>
       <div style="margin-bottom:8px;"><strong>Path:</strong> ${names.map(n => `<div style="margin-left:12px;">${n}</div>`).join('')}</div>
-      ${goToTreeButton}
+      <div style="display: flex; gap: 8px; flex-wrap: wrap;">
+        ${goToTreeButton}
+        ${networkButton}
+      </div>
     `;
     panel.style.display = 'block';
 
@@ -66,8 +88,11 @@ export function setupFocusInfo(nodeSelection, getCurrentRotate = () => 0) {
       });
     }
 
+    const networkBtn = document.getElementById('synonymNetworkFromClick');
+    if (networkBtn) networkBtn.addEventListener('click', () => showSynonymNetwork(d));
+
     // Add taxon name labels to all nodes in the path
-    if (nodeSelection) {
+    if (nodeSelection && placeLabel) {
       // Remove any existing focus labels
       nodeSelection.selectAll('.focus-label').remove();
 
@@ -75,13 +100,8 @@ export function setupFocusInfo(nodeSelection, getCurrentRotate = () => 0) {
       const pathNodes = d.ancestors();
 
       // Add labels to all nodes in the path
-      // Calculate label orientation based on current rotation
+      // Label orientation depends on the layout and the current rotation
       const currentRotate = getCurrentRotate();
-      const rotRad = (currentRotate * Math.PI) / 180;
-      const tau = Math.PI * 2;
-      function outward(node) {
-        return ((node.x + rotRad) % tau + tau) % tau < Math.PI;
-      }
 
       pathNodes.forEach(ancestorNode => {
         const nodeGroup = nodeSelection.filter(n => n === ancestorNode);
@@ -89,9 +109,7 @@ export function setupFocusInfo(nodeSelection, getCurrentRotate = () => 0) {
         nodeGroup.append('text')
           .attr('class', 'focus-label')
           .attr('dy', '0.32em')
-          .attr('x', node => (outward(node) === !node.children ? 16 : -16))
-          .attr('text-anchor', node => (outward(node) === !node.children ? 'start' : 'end'))
-          .attr('transform', node => outward(node) ? null : 'rotate(180)')
+          .call(placeLabel, currentRotate)
           .style('fill', '#2e7d32')
           .style('font-size', '14px')
           .style('font-weight', '700')
@@ -0,0 +1,316 @@
+// Search history, saved queries and recently viewed taxa (kept in localStorage)
+// Every entry remembers where it was made: the taxon group, Major Groups tree or drill-down
+// root (the navigation keys of the URL state, see urlState.js), and for taxa the
+// highlighted node. Reopening an entry goes back there. The lists can be exported to and
+// imported from a JSON file to share them.
+//   recent searches  every query run from the search box (newest first)
+//   saved queries    searches pinned with "Save"
+//   recent taxa      nodes the user picked (click, keyboard, outline, search result) and
+//                    subtrees opened (navigateToNode); highlights from a multi-match search
+//                    or a restored URL are not recorded
+// Usage:
+//   setupSearchHistory({ onOpen: entry => { ... } });   // wire the history row
+//   recordSearch('Peromyscus', { global: false });      // from search.js
+//   recordTaxon({ id, name });                          // e.g. from navigateToNode
+//   recordPickedNode(d);                                // a node picked in the rendered tree
+//   placeOf(entry);                                     // URL state keys to reopen the entry
+
+import { readUrlState } from './urlState.js';
+import { downloadText } from './download.js';
+import { escapeHtml } from './html.js';
+
+const STORAGE_KEY = 'taxonomy-visualizer.history';
+const FILE_VERSION = 1;
+const MAX_RECENT = 20;
+const MAX_SAVED = 100;
+const PLACE_KEYS = ['group', 'tree', 'root', 'rootName'];
+const LIST_LABELS = {
+  savedQueries: 'Saved queries',
+  recentSearches: 'Recent searches',
+  recentTaxa: 'Recent taxa'
+};
+
+let lists = loadLists();
+let onOpenEntry = null;
+
+function emptyLists() {
+  return { savedQueries: [], recentSearches: [], recentTaxa: [] };
+}
+
+// Keep only well-formed entries of a stored or imported list
+function cleanList(items, isTaxon) {
+  if (!Array.isArray(items)) return [];
+  return items.filter(item => item && typeof item === 'object' && item.place && typeof item.place === 'object' &&
+    (isTaxon ? typeof item.id === 'number' : typeof item.q === 'string' && item.q.trim()));
+}
+
+function cleanLists(data) {
+  const clean = emptyLists();
+  if (!data || typeof data !== 'object') return clean;
+  clean.savedQueries = cleanList(data.savedQueries, false);
+  clean.recentSearches = cleanList(data.recentSearches, false);
+  clean.recentTaxa = cleanList(data.recentTaxa, true);
+  return clean;
+}
+
+function loadLists() {
+  try {
+    return cleanLists(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+  } catch (error) {
+    return emptyLists();
+  }
+}
+
+function saveLists() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(lists));
+  } catch (error) {
+    // Storage full or disabled: the lists still work for this session
+    console.warn('Could not save the search history:', error);
+  }
+  refreshHistorySelect();
+}
+
+function entryKey(entry) {
+  const place = PLACE_KEYS.map(key => entry.place[key] ?? '').join('|');
+  return entry.q !== undefined
+    ? `q:${entry.q.toLowerCase()}|${entry.global ? 'all' : ''}|${place}`
+    : `taxon:${entry.id}|${entry.place.node ?? ''}|${place}`;
+}
+
+// Add to the front, dropping an older copy of the same entry
+function addEntry(listName, entry, max) {
+  const key = entryKey(entry);
+  lists[listName] = [entry, ...lists[listName].filter(item => entryKey(item) !== key)].slice(0, max);
+  saveLists();
+}
+
+// Navigation keys of the current URL state: the tree the user is looking at
+function currentPlace() {
+  const state = readUrlState();
+  const place = {};
+  PLACE_KEYS.forEach(key => {
+    if (state[key] !== undefined) place[key] = state[key];
+  });
+  return place;
+}
+
+/**
+ * Remember a search run from the search box
+ * @param {string} q - Search query
+ * @param {Object} options - { global: searched all groups }
+ */
+export function recordSearch(q, { global = false } = {}) {
+  const query = String(q || '').trim();
+  if (!query) return;
+  addEntry('recentSearches', { q: query, global, place: currentPlace(), time: Date.now() }, MAX_RECENT);
+}
+
+/**
+ * Remember a viewed taxon
+ * @param {Object} taxon - { id, name }
+ * @param {Object} place - URL state keys to reopen it (default: the current tree)
+ */
+export function recordTaxon({ id, name }, place = currentPlace()) {
+  if (typeof id !== 'number') return;
+  addEntry('recentTaxa', { id, name: String(name ?? id), place, time: Date.now() }, MAX_RECENT);
+}
+
+/**
+ * Remember a node the user picked in the rendered tree, with the node to highlight on reopening
+ * @param {Object} d - d3.hierarchy node
+ */
+export function recordPickedNode(d) {
+  recordTaxon(d.data, { ...currentPlace(), node: d.data.id });
+}
+
+/**
+ * Pin a search as a saved query
+ * @param {string} q - Search query
+ * @param {Object} options - { global: search all groups }
+ */
+export function saveQuery(q, { global = false } = {}) {
+  const query = String(q || '').trim();
+  if (!query) return;
+  addEntry('savedQueries', { q: query, global, place: currentPlace(), time: Date.now() }, MAX_SAVED);
+}
+
+/**
+ * The stored lists
+ * @returns {Object} { savedQueries, recentSearches, recentTaxa }
+ */
+export function getSearchHistory() {
+  return lists;
+}
+
+/**
+ * URL state that reopens an entry (see restoreViewState in urlState.js)
+ * @param {Object} entry - Entry of one of the lists
+ * @returns {Object} Navigation keys plus q (searches) or node (taxa)
+ */
+export function placeOf(entry) {
+  const state = { ...entry.place };
+  if (entry.q !== undefined) state.q = entry.q;
+  else if (state.node == null && state.root !== entry.id) state.node = entry.id;
+  return state;
+}
+
+function describeEntry(entry) {
+  return entry.q !== undefined ? `${entry.q}${entry.global ? ' (all groups)' : ''}` : entry.name;
+}
+
+function describePlace(place) {
+  if (place.root != null) return `in ${place.rootName || place.root}`;
+  if (place.group) return `in ${place.group}`;
+  return place.tree === 'orphan' ? 'in Orphan Nodes' : 'in Major Groups';
+}
+
+// Options of #historySelect, one group per list
+function refreshHistorySelect() {
+  const select = document.getElementById('historySelect');
+  if (!select) return;
+  const groups = Object.entries(LIST_LABELS)
+    .filter(([listName]) => lists[listName].length)
+    .map(([listName, label]) => `<optgroup label="${label}">${lists[listName].map((entry, i) =>
+      `<option value="${listName}:${i}">${escapeHtml(describeEntry(entry))} — ${escapeHtml(describePlace(entry.place))}</option>`).join('')}</optgroup>`)
+    .join('');
+  select.innerHTML = `<option value="">${groups ? 'Reopen…' : 'No history yet'}</option>${groups}`;
+  select.disabled = !groups;
+}
+
+function entryFromValue(value) {
+  const [listName, index] = value.split(':');
+  return lists[listName] ? lists[listName][Number(index)] : null;
+}
+
+// #info list of every entry with remove buttons
+function showHistoryManager(notice = '') {
+  const panel = document.getElementById('info');
+  if (!panel) return;
+  const sections = Object.entries(LIST_LABELS).map(([listName, label]) => {
+    const items = lists[listName].map((entry, i) => `
+      <div style="display:flex;align-items:center;gap:6px;padding:4px 0;border-bottom:1px solid #e5e7eb;">
+        <span class="history-open" data-list="${listName}" data-index="${i}" style="flex:1;cursor:pointer;">
+          ${escapeHtml(describeEntry(entry))}
+          <span style="font-size:11px;color:#6b7280;">${escapeHtml(describePlace(entry.place))}</span>
+        </span>
+        ${listName === 'recentSearches' ? `<button class="history-pin control-btn" data-index="${i}" title="Save this query">Save</button>` : ''}
+        <button class="history-remove control-btn" data-list="${listName}" data-index="${i}" title="Remove">×</button>
+      </div>
+    `).join('');
+    return `
+      <div style="margin-top:8px;">
+        <div style="font-weight:600;font-size:13px;color:#43a047;">${label} (${lists[listName].length})</div>
+        ${items || '<div style="font-size:12px;color:#9ca3af;padding:4px 0;">None</div>'}
+      </div>
+    `;
+  }).join('');
+  panel.innerHTML = `
+    <div style="font-weight:600;margin-bottom:6px;">Search History</div>
+    ${notice ? `<div style="font-size:13px;color:#2e7d32;margin-bottom:6px;">${escapeHtml(notice)}</div>` : ''}
+    <div style="max-height:360px;overflow-y:auto;">${sections}</div>
+  `;
+  panel.style.display = 'block';
+
+  panel.querySelectorAll('.history-open').forEach(item => {
+    item.addEventListener('click', () => {
+      const entry = lists[item.dataset.list][Number(item.dataset.index)];
+      if (entry && onOpenEntry) onOpenEntry(entry);
+    });
+  });
+  panel.querySelectorAll('.history-pin').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const entry = lists.recentSearches[Number(btn.dataset.index)];
+      if (entry) addEntry('savedQueries', { ...entry, time: Date.now() }, MAX_SAVED);
+      showHistoryManager();
+    });
+  });
+  panel.querySelectorAll('.history-remove').forEach(btn => {
+    btn.addEventListener('click', () => {
+      lists[btn.dataset.list].splice(Number(btn.dataset.index), 1);
+      saveLists();
+      showHistoryManager();
+    });
+  });
+}
+
+/**
+ * Download the lists as JSON
+ */
+export function exportSearchHistory() {
+  const file = { format: 'taxonomy-visualizer-history', version: FILE_VERSION, exported: new Date().toISOString(), ...lists };
+  downloadText(JSON.stringify(file, null, 2), 'search-history.json', 'application/json');
+}
+
+/**
+ * Merge lists from an exported JSON file (imported entries first, duplicates dropped)
+ * @param {string} text - File contents
+ * @returns {number} Number of entries read from the file
+ */
+export function importSearchHistory(text) {
+  const imported = cleanLists(JSON.parse(text));
+  const count = Object.keys(LIST_LABELS).reduce((sum, listName) => sum + imported[listName].length, 0);
+  if (!count) throw new Error('no search history entries in this file');
+  Object.keys(LIST_LABELS).forEach(listName => {
+    const seen = new Set();
+    lists[listName] = [...imported[listName], ...lists[listName]].filter(entry => {
+      const key = entryKey(entry);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    }).slice(0, listName === 'savedQueries' ? MAX_SAVED : MAX_RECENT);
+  });
+  saveLists();
+  return count;
+}
+
+/**
+ * Wire the history row (#historySelect, #saveQueryBtn, #historyManageBtn, #historyExportBtn,
+ * #historyImportBtn / #historyImportFile)
+ * @param {Object} options - { onOpen(entry) } reopens an entry (see placeOf)
+ */
+export function setupSearchHistory({ onOpen }) {
+  onOpenEntry = onOpen;
+  const select = document.getElementById('historySelect');
+  const saveBtn = document.getElementById('saveQueryBtn');
+  const manageBtn = document.getElementById('historyManageBtn');
+  const exportBtn = document.getElementById('historyExportBtn');
+  const importBtn = document.getElementById('historyImportBtn');
+  const importFile = document.getElementById('historyImportFile');
+
+  refreshHistorySelect();
+  if (select) {
+    select.addEventListener('change', () => {
+      const entry = entryFromValue(select.value);
+      select.value = '';
+      if (entry) onOpen(entry);
+    });
+  }
+  if (saveBtn) {
+    saveBtn.addEventListener('click', () => {
+      const input = document.getElementById('searchInput');
+      const global = document.getElementById('searchGlobal');
+      saveQuery(input ? input.value : '', { global: Boolean(global && global.checked) });
+    });
+  }
+  if (manageBtn) manageBtn.addEventListener('click', () => showHistoryManager());
+  if (exportBtn) exportBtn.addEventListener('click', exportSearchHistory);
+  if (importBtn && importFile) {
+    importBtn.addEventListener('click', () => importFile.click());
+    importFile.addEventListener('change', async () => {
+      const file = importFile.files[0];
+      importFile.value = ''; // Allow importing the same file again
+      if (!file) return;
+      try {
+        const count = importSearchHistory(await file.text());
+        showHistoryManager(`Imported ${count} ${count === 1 ? 'entry' : 'entries'} from ${file.name}`);
+      } catch (error) {
+        const panel = document.getElementById('info');
+        if (panel) {
+          panel.innerHTML = `<div style="font-weight:600;margin-bottom:6px;">Search History</div><div style="color:#b91c1c;">Could not import ${escapeHtml(file.name)}: ${escapeHtml(error.message)}</div>`;
+          panel.style.display = 'block';
+        }
+      }
+    });
+  }
+}
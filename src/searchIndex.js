@@ -0,0 +1,122 @@
+// Name index for the taxon search, built once per rendered tree
+// Every distinct name (valid names of the tree's nodes and their synonym names) is listed
+// once with the nodes it belongs to, and a bigram index narrows a query down to the names
+// that can possibly match before matchName (fuzzyMatch.js) checks them. The filter never
+// drops a real match: a name containing the query contains all of its bigrams, and a name
+// within k edits of it still shares at least (length - 1 - 2k) of them (q-gram lemma).
+// Queries of one character, or too short for their typo tolerance, check every name.
+// Usage:
+//   const index = buildSearchIndex(root.descendants(), id => getAllSynonymNames(id));
+//   index.matchNames('peromyscus', 'auto');    // Map node -> match of its own name
+//   index.matchSynonyms('peromyscus', 'auto'); // Map node id -> best match among its synonym names
+
+import { matchName, toleranceFor } from './fuzzyMatch.js';
+
+function normalize(text) {
+  return String(text || '').trim().toLowerCase();
+}
+
+// Bigram occurrences of a string: bigram -> count
+function bigrams(text) {
+  const grams = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const gram = text.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+/**
+ * Index the names of a tree
+ * @param {Array} nodes - d3.hierarchy nodes (root.descendants()), in tree order
+ * @param {Function} synonymNamesOf - Optional (id) => iterable of synonym names, including the valid name
+ * @returns {Object} { size, matchNames(query, tolerance), matchSynonyms(query, tolerance) }
+ */
+export function buildSearchIndex(nodes, synonymNamesOf = null) {
+  const names = []; // Distinct names as given (matchName lowercases them itself)
+  const ownerNodes = []; // Per name: nodes with this as their own name
+  const synonymOwnerIds = []; // Per name: node IDs with this among their synonym names
+  const nameIndex = new Map(); // Name -> position in names
+  const postings = new Map(); // Bigram -> positions of the names containing it
+
+  function addName(name) {
+    let position = nameIndex.get(name);
+    if (position === undefined) {
+      position = names.length;
+      names.push(name);
+      ownerNodes.push([]);
+      synonymOwnerIds.push([]);
+      nameIndex.set(name, position);
+      bigrams(normalize(name)).forEach((_, gram) => {
+        if (!postings.has(gram)) postings.set(gram, []);
+        postings.get(gram).push(position);
+      });
+    }
+    return position;
+  }
+
+  nodes.forEach(n => {
+    if (n.data.name) ownerNodes[addName(n.data.name)].push(n);
+    if (synonymNamesOf) {
+      for (const name of synonymNamesOf(n.data.id)) {
+        if (name) synonymOwnerIds[addName(name)].push(n.data.id);
+      }
+    }
+  });
+
+  // Positions of the names worth checking with matchName
+  function candidates(query, tolerance) {
+    const grams = bigrams(query);
+    const required = query.length - 1 - 2 * toleranceFor(query, tolerance);
+    if (required <= 0) return names.map((_, position) => position);
+
+    // Count the query's bigram positions found in each name
+    const found = new Map();
+    grams.forEach((count, gram) => {
+      (postings.get(gram) || []).forEach(position => {
+        found.set(position, (found.get(position) || 0) + count);
+      });
+    });
+    const result = [];
+    found.forEach((count, position) => {
+      if (count >= required) result.push(position);
+    });
+    return result;
+  }
+
+  // Best match per owner (node or ID) over the matching names, keeping the first of equal scores
+  function bestByOwner(query, tolerance, ownersOf) {
+    const q = normalize(query);
+    const best = new Map();
+    if (!q) return best;
+    candidates(q, tolerance).forEach(position => {
+      const owners = ownersOf[position];
+      if (!owners.length) return;
+      const match = matchName(names[position], q, tolerance);
+      if (!match) return;
+      owners.forEach(owner => {
+        const current = best.get(owner);
+        if (!current || match.score > current.score) best.set(owner, match);
+      });
+    });
+    return best;
+  }
+
+  return {
+    size: names.length,
+    /**
+     * Nodes whose own name matches a query
+     * @param {string} query - Search text
+     * @param {string|number} tolerance - 'auto' or a number of edits
+     * @returns {Map} Node -> { kind, distance, score }
+     */
+    matchNames: (query, tolerance) => bestByOwner(query, tolerance, ownerNodes),
+    /**
+     * Nodes with a matching name among their synonym names
+     * @param {string} query - Search text
+     * @param {string|number} tolerance - 'auto' or a number of edits
+     * @returns {Map} Node ID -> best { kind, distance, score }
+     */
+    matchSynonyms: (query, tolerance) => bestByOwner(query, tolerance, synonymOwnerIds)
+  };
+}
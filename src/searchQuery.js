@@ -0,0 +1,283 @@
+// Structured search queries: field filters combined with boolean operators
+// Terms are field:value filters or bare words; terms next to each other must all match.
+//   name:Alnus*             name contains the text (* and ? match the whole name instead)
+//   group:VPL               taxon group (taxagroupid, inherited from the nearest ancestor)
+//   id:123  id>1000         taxon ID; depth>6 compares the depth below the rendered root
+//   under:"Rodentia"        strictly inside the clade with this name (or ID)
+//   synonym:true            the taxon is an invalid name (alias: isSynonym); leaf:true has no children
+//   synonymtype:heterotypic type of the taxon's synonym records (its own, or those of its synonyms)
+//   modified>2015-06        date those records were last modified (year, year-month or full date)
+//   Muridae                 bare word: the name or an ancestor's name contains it
+// Combine with AND (implicit), OR, NOT or a leading -, and parentheses:
+//   under:"Rodentia" -Muridae       (group:VPL OR group:MAM) name:Alnus*
+// A - followed by digits only is a (negative, e.g. Newick-generated) taxon ID, not NOT.
+// Values with spaces go in double quotes. Operators are :, =, >, <, >= and <=.
+// Usage:
+//   if (isStructuredQuery(q)) {
+//     const matches = compileQuery(q);   // throws Error with a readable message
+//     root.descendants().filter(matches);
+//   }
+
+import { isInvalidId, getSynonymInfo, isSynonymsReady } from './synonyms.js';
+
+const FIELD_ALIASES = {
+  taxagroupid: 'group',
+  issynonym: 'synonym',
+  recdatemodified: 'modified',
+  in: 'under'
+};
+// Something that looks like a filter, a negated term or a boolean keyword
+const STRUCTURE_PATTERN = /(^|[\s(])(-(?!\d+([\s)]|$))\S|[A-Za-z]+(>=|<=|[:=<>]))|(^|\s)(AND|OR|NOT)(\s|$)/;
+// A negative taxon ID at the start of the rest of the query
+const NEGATIVE_ID_PATTERN = /^-\d+(?=[\s)]|$)/;
+
+/**
+ * Whether a query uses the structured syntax (otherwise it is a plain name or ID search)
+ * @param {string} q - Search query
+ * @returns {boolean}
+ */
+export function isStructuredQuery(q) {
+  const text = String(q || '').trim();
+  // A negative ID on its own is a plain ID search; next to other terms it is an id: filter
+  return STRUCTURE_PATTERN.test(text) || (/(^|[\s(])-\d+([\s)]|$)/.test(text) && /\s/.test(text));
+}
+
+function tokenize(q) {
+  const tokens = [];
+  let i = 0;
+  while (i < q.length) {
+    const ch = q[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch, position: i });
+      i++;
+    } else if (NEGATIVE_ID_PATTERN.test(q.slice(i))) {
+      const value = NEGATIVE_ID_PATTERN.exec(q.slice(i))[0];
+      tokens.push({ type: 'term', field: 'id', comparison: ':', value, position: i });
+      i += value.length;
+    } else if (ch === '-' && i + 1 < q.length && !/\s/.test(q[i + 1])) {
+      tokens.push({ type: 'NOT', position: i });
+      i++;
+    } else {
+      const start = i;
+      const fieldMatch = /^([A-Za-z]+)(>=|<=|[:=<>])/.exec(q.slice(i));
+      let field = null;
+      let comparison = ':';
+      if (fieldMatch) {
+        field = fieldMatch[1].toLowerCase();
+        comparison = fieldMatch[2];
+        i += fieldMatch[0].length;
+      }
+      let value;
+      if (q[i] === '"') {
+        const end = q.indexOf('"', i + 1);
+        if (end < 0) throw new Error(`Missing closing quote for the " at position ${i + 1}`);
+        value = q.slice(i + 1, end);
+        i = end + 1;
+      } else {
+        const valueStart = i;
+        while (i < q.length && !/\s/.test(q[i]) && q[i] !== ')') i++;
+        value = q.slice(valueStart, i);
+      }
+      if (!field && ['AND', 'OR', 'NOT'].includes(value)) {
+        tokens.push({ type: value, position: start });
+      } else {
+        if (field && !value) throw new Error(`Missing value for "${fieldMatch[0]}" at position ${start + 1}`);
+        tokens.push({ type: 'term', field, comparison, value, position: start });
+      }
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse a structured query into a syntax tree
+ * @param {string} q - Search query
+ * @returns {Object} { type: 'or'|'and', items } | { type: 'not', item } | { type: 'term', field, comparison, value }
+ */
+export function parseQuery(q) {
+  const tokens = tokenize(String(q || ''));
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const describe = token => (token ? `"${token.type === 'term' ? token.value : token.type}" at position ${token.position + 1}` : 'end of query');
+
+  function parseOr() {
+    const items = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      pos++;
+      items.push(parseAnd());
+    }
+    return items.length === 1 ? items[0] : { type: 'or', items };
+  }
+
+  function parseAnd() {
+    const items = [parseUnary()];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') pos++;
+      items.push(parseUnary());
+    }
+    return items.length === 1 ? items[0] : { type: 'and', items };
+  }
+
+  function parseUnary() {
+    if (peek() && peek().type === 'NOT') {
+      pos++;
+      return { type: 'not', item: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (token && token.type === '(') {
+      pos++;
+      const inner = parseOr();
+      if (!peek() || peek().type !== ')') throw new Error(`Missing ")" for the "(" at position ${token.position + 1}`);
+      pos++;
+      return inner;
+    }
+    if (!token || token.type !== 'term') throw new Error(`Expected a search term but found ${describe(token)}`);
+    pos++;
+    return { type: 'term', field: token.field, comparison: token.comparison, value: token.value, position: token.position };
+  }
+
+  if (!tokens.length) throw new Error('Empty query');
+  const tree = parseOr();
+  if (pos < tokens.length) throw new Error(`Unexpected ${describe(peek())}`);
+  return tree;
+}
+
+// Case-insensitive text test: substring (or whole value with exact), * and ? wildcards match the whole value
+function textTest(value, { exact = false } = {}) {
+  const v = value.toLowerCase();
+  if (/[*?]/.test(v)) {
+    const pattern = v.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    const regex = new RegExp(`^${pattern}$`);
+    return text => text != null && regex.test(String(text).toLowerCase());
+  }
+  return text => text != null && (exact ? String(text).toLowerCase() === v : String(text).toLowerCase().includes(v));
+}
+
+function compare(a, comparison, b) {
+  switch (comparison) {
+    case '>': return a > b;
+    case '<': return a < b;
+    case '>=': return a >= b;
+    case '<=': return a <= b;
+    default: return a === b;
+  }
+}
+
+// Synonym records describing a node: its own if it is an invalid name, else those of its synonyms
+function synonymRecords(d) {
+  if (!isSynonymsReady()) return [];
+  const info = getSynonymInfo(d.data.id);
+  if (!info) return [];
+  if (isInvalidId(d.data.id)) return info.synonyms.filter(syn => syn.invalid_id === d.data.id);
+  return info.synonyms;
+}
+
+function numberValue(term) {
+  const number = Number(term.value);
+  if (term.value === '' || Number.isNaN(number)) throw new Error(`${term.field} needs a number, not "${term.value}"`);
+  return number;
+}
+
+function booleanValue(term) {
+  const value = term.value.toLowerCase();
+  if (value !== 'true' && value !== 'false') throw new Error(`${term.field} is true or false, not "${term.value}"`);
+  return value === 'true';
+}
+
+function textOnly(term) {
+  if (term.comparison !== ':' && term.comparison !== '=') throw new Error(`${term.field} cannot be compared with "${term.comparison}"`);
+}
+
+// Predicate for one term
+function compileTerm(term) {
+  const field = term.field ? (FIELD_ALIASES[term.field] || term.field) : null;
+  switch (field) {
+    case null: {
+      const test = textTest(term.value);
+      return d => d.ancestors().some(a => test(a.data.name));
+    }
+    case 'name': {
+      textOnly(term);
+      const test = textTest(term.value);
+      return d => test(d.data.name);
+    }
+    case 'group': {
+      textOnly(term);
+      const test = textTest(term.value, { exact: true });
+      return d => {
+        const grouped = d.ancestors().find(a => a.data.taxagroupid);
+        return test(grouped ? grouped.data.taxagroupid : null);
+      };
+    }
+    case 'id':
+    case 'depth': {
+      const number = numberValue(term);
+      const valueOf = field === 'id' ? d => d.data.id : d => d.depth;
+      return d => compare(valueOf(d), term.comparison, number);
+    }
+    case 'under': {
+      textOnly(term);
+      const test = textTest(term.value, { exact: true });
+      const id = Number(term.value);
+      return d => d.ancestors().slice(1).some(a => a.data.id === id || test(a.data.name));
+    }
+    case 'synonym':
+    case 'leaf': {
+      textOnly(term);
+      const wanted = booleanValue(term);
+      const valueOf = field === 'synonym'
+        ? d => isSynonymsReady() && isInvalidId(d.data.id)
+        : d => !(d.children && d.children.length);
+      return d => valueOf(d) === wanted;
+    }
+    case 'synonymtype': {
+      textOnly(term);
+      const test = textTest(term.value);
+      return d => synonymRecords(d).some(syn => test(syn.synonymtype));
+    }
+    case 'modified': {
+      if (!/^\d{4}(-\d{2}(-\d{2})?)?$/.test(term.value)) {
+        throw new Error(`modified needs a date like 2015, 2015-06 or 2015-06-30, not "${term.value}"`);
+      }
+      // Compare at the precision given: modified:2015 is any date in 2015
+      return d => synonymRecords(d).some(syn =>
+        syn.recdatemodified && compare(String(syn.recdatemodified).slice(0, term.value.length), term.comparison, term.value));
+    }
+    default:
+      throw new Error(`Unknown field "${term.field}" at position ${term.position + 1}`);
+  }
+}
+
+function compileNode(tree) {
+  switch (tree.type) {
+    case 'or': {
+      const items = tree.items.map(compileNode);
+      return d => items.some(test => test(d));
+    }
+    case 'and': {
+      const items = tree.items.map(compileNode);
+      return d => items.every(test => test(d));
+    }
+    case 'not': {
+      const item = compileNode(tree.item);
+      return d => !item(d);
+    }
+    default:
+      return compileTerm(tree);
+  }
+}
+
+/**
+ * Compile a structured query into a node predicate
+ * @param {string} q - Search query
+ * @returns {Function} (d3.hierarchy node) => boolean
+ */
+export function compileQuery(q) {
+  return compileNode(parseQuery(q));
+}
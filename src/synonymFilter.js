@@ -0,0 +1,219 @@
+// Synonym types: colours, and the filter applied to synonym nodes
+// Synonym nodes (invalid names added next to their valid taxon by addMissingSynonyms in
+// data.js, and invalid taxa that are in the data themselves) are coloured by the
+// synonymtypeid of their record, links to them likewise. The filter keeps the synonym
+// types ticked in #synonymFilterPanel whose recdatemodified lies in the chosen date range:
+// other synonyms are not added to the tree, and invalid taxa from the data are dimmed.
+// The display mode (#synonymModeSelect) decides how the synonyms passing the filter are
+// added: as sibling nodes, merged into a count badge on their valid node, or not at all.
+// The filter helpers touch no DOM, so data.js can use them in the tree worker.
+// Usage:
+//   renderMammalTree({ ..., synonymFilter: getSynonymFilter() });   // the default
+//   renderMammalTree({ ..., synonymMode: getSynonymMode() });       // the default
+//   matchesSynonymFilter(syn, filter);                               // addMissingSynonyms
+//   synonymTypeColor(syn.synonymtypeid);
+//   setupSynonymFilter({ onChange: () => { ... } });                 // re-render
+//   setupSynonymModeSelect({ onChange: () => { ... } });             // re-render
+
+import { initSynonyms, getAllSynonymEntries, getSynonymInfo, isInvalidId, isSynonymsReady } from './synonyms.js';
+import { escapeHtml } from './html.js';
+
+// How addMissingSynonyms adds synonyms to the tree
+export const SYNONYM_MODES = {
+  separate: 'Separate nodes',
+  merged: 'Merged badges',
+  hidden: 'Hidden'
+};
+
+const OTHER_TYPE_COLOR = '#6b7280';
+// By synonymtypeid, for the common types of all_synonyms.json; rarer types share OTHER_TYPE_COLOR
+export const SYNONYM_TYPE_COLORS = {
+  1: '#d62728', // taxonomic, heterotypic, or subjective synonym
+  2: '#1f77b4', // nomenclatural, homotypic, or objective synonym
+  3: '#8c564b', // ...: family merged into another family
+  5: '#9467bd', // ...: species reduced to subspecific rank
+  6: '#7f7f7f', // other (see notes)
+  7: '#2ca02c', // ...: family reduced to subfamily
+  9: '#ff7f0e', // ...: genus merged into another genus
+  10: '#bcbd22', // ...: genus reduced to subgenus
+  13: '#e377c2', // ...: subgeneric rank elevated to genus
+  17: '#17becf' // ...: spelling variation
+};
+
+// types: synonymtypeids to keep (null: all); from / to: 'YYYY-MM-DD' bounds of recdatemodified ('' for none)
+let currentFilter = { types: null, from: '', to: '' };
+let currentMode = 'separate';
+
+/**
+ * Colour of a synonym type
+ * @param {number} typeId - synonymtypeid
+ * @returns {string} CSS colour
+ */
+export function synonymTypeColor(typeId) {
+  return SYNONYM_TYPE_COLORS[typeId] || OTHER_TYPE_COLOR;
+}
+
+/**
+ * Filter used for new renders (structured-cloneable, it is sent to the tree worker)
+ * @returns {Object} { types: number[]|null, from, to }
+ */
+export function getSynonymFilter() {
+  return { ...currentFilter, types: currentFilter.types ? [...currentFilter.types] : null };
+}
+
+/**
+ * Synonym display mode used for new renders
+ * @returns {string} Key of SYNONYM_MODES
+ */
+export function getSynonymMode() {
+  return currentMode;
+}
+
+/**
+ * Choose the synonym display mode for new renders (unknown modes fall back to separate)
+ * @param {string} mode - Key of SYNONYM_MODES
+ * @returns {string} The mode now in use
+ */
+export function setSynonymMode(mode) {
+  currentMode = SYNONYM_MODES[mode] ? mode : 'separate';
+  const select = document.getElementById('synonymModeSelect');
+  if (select) select.value = currentMode;
+  return currentMode;
+}
+
+/**
+ * Whether a filter hides anything
+ * @param {Object} filter - { types, from, to }
+ * @returns {boolean}
+ */
+export function isSynonymFilterActive(filter) {
+  return Boolean(filter && (filter.types || filter.from || filter.to));
+}
+
+/**
+ * Whether a synonym record passes a filter
+ * @param {Object} syn - Synonym record { synonymtypeid, recdatemodified }
+ * @param {Object} filter - { types, from, to }, or null for no filter
+ * @returns {boolean}
+ */
+export function matchesSynonymFilter(syn, filter) {
+  if (!isSynonymFilterActive(filter)) return true;
+  if (filter.types && !filter.types.includes(syn.synonymtypeid)) return false;
+  const date = syn.recdatemodified ? String(syn.recdatemodified).slice(0, 10) : '';
+  if ((filter.from || filter.to) && !date) return false;
+  if (filter.from && date < filter.from) return false;
+  if (filter.to && date > filter.to) return false;
+  return true;
+}
+
+/**
+ * Synonym record of a node: stored on added synonym nodes, looked up for invalid taxa of the data
+ * @param {Object} d - Hierarchy node
+ * @returns {Object|null} { synonymtypeid, synonymtype, recdatemodified } or null if d is not a synonym
+ */
+export function synonymRecordOf(d) {
+  if (d.data.isSynonym && d.data.synonymtypeid !== undefined) return d.data;
+  if (!isSynonymsReady() || !isInvalidId(d.data.id)) return null;
+  const info = getSynonymInfo(d.data.id);
+  return (info && info.synonyms.find(syn => syn.invalid_id === d.data.id)) || null;
+}
+
+// Synonym types in the table, with their number of records
+function synonymTypes() {
+  const types = new Map(); // synonymtypeid -> { id, name, count }
+  getAllSynonymEntries().forEach(info => info.synonyms.forEach(syn => {
+    if (!types.has(syn.synonymtypeid)) types.set(syn.synonymtypeid, { id: syn.synonymtypeid, name: syn.synonymtype || 'unknown type', count: 0 });
+    types.get(syn.synonymtypeid).count++;
+  }));
+  return [...types.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Build the synonym filter and legend in #synonymFilterPanel, opened with #synonymFilterBtn
+ * @param {Object} options - { onChange(filter) } re-renders the tree with the new filter
+ */
+export function setupSynonymFilter({ onChange }) {
+  const button = document.getElementById('synonymFilterBtn');
+  const panel = document.getElementById('synonymFilterPanel');
+  if (!button || !panel) return;
+
+  function apply() {
+    const boxes = [...panel.querySelectorAll('.synonym-type-toggle')];
+    const checked = boxes.filter(box => box.checked).map(box => Number(box.value));
+    currentFilter = {
+      types: checked.length === boxes.length ? null : checked,
+      from: panel.querySelector('#synonymDateFrom').value,
+      to: panel.querySelector('#synonymDateTo').value
+    };
+    button.classList.toggle('active', isSynonymFilterActive(currentFilter));
+    onChange(getSynonymFilter());
+  }
+
+  async function build() {
+    try {
+      await initSynonyms();
+      // A failed load is only logged by initSynonyms
+      if (!isSynonymsReady()) throw new Error('all_synonyms.json is unavailable (see the console)');
+    } catch (error) {
+      console.error('Synonym filter: could not load synonyms:', error);
+      panel.innerHTML = `<div style="color:#b91c1c;">Could not load the synonym table: ${escapeHtml(error.message)}</div>`;
+      return;
+    }
+    const rows = synonymTypes().map(type => `
+      <label class="synonym-type-row" title="${escapeHtml(type.name)}">
+        <input type="checkbox" class="synonym-type-toggle" value="${type.id}" ${!currentFilter.types || currentFilter.types.includes(type.id) ? 'checked' : ''}>
+        <span class="synonym-type-swatch" style="background:${synonymTypeColor(type.id)};"></span>
+        <span class="synonym-type-name">${escapeHtml(type.name)}</span>
+        <span class="synonym-type-count">${type.count}</span>
+      </label>
+    `).join('');
+    panel.innerHTML = `
+      <div class="synonym-filter-types">${rows}</div>
+      <div class="synonym-filter-dates">
+        <label for="synonymDateFrom">Modified from</label>
+        <input id="synonymDateFrom" type="date" class="control-select" value="${currentFilter.from}">
+        <label for="synonymDateTo">to</label>
+        <input id="synonymDateTo" type="date" class="control-select" value="${currentFilter.to}">
+      </div>
+      <div class="synonym-filter-actions">
+        <button class="control-btn" data-action="all">All types</button>
+        <button class="control-btn" data-action="none">No types</button>
+        <button class="control-btn" data-action="reset">Reset</button>
+      </div>
+    `;
+    panel.querySelectorAll('input').forEach(input => input.addEventListener('change', apply));
+    panel.querySelectorAll('[data-action]').forEach(btn => btn.addEventListener('click', () => {
+      const action = btn.dataset.action;
+      panel.querySelectorAll('.synonym-type-toggle').forEach(box => {
+        box.checked = action !== 'none';
+      });
+      if (action === 'reset') {
+        panel.querySelector('#synonymDateFrom').value = '';
+        panel.querySelector('#synonymDateTo').value = '';
+      }
+      apply();
+    }));
+  }
+
+  button.addEventListener('click', async () => {
+    const opening = panel.hidden;
+    // Built on first open; after a failed load, opening again retries
+    if (opening && !panel.querySelector('.synonym-filter-types')) await build();
+    panel.hidden = !opening;
+    button.setAttribute('aria-expanded', String(opening));
+  });
+}
+
+/**
+ * Fill #synonymModeSelect with SYNONYM_MODES and report changes
+ * @param {Object} options - { onChange(mode) } re-renders the tree with the new mode
+ */
+export function setupSynonymModeSelect({ onChange }) {
+  const select = document.getElementById('synonymModeSelect');
+  if (!select) return;
+  select.innerHTML = Object.entries(SYNONYM_MODES)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`)
+    .join('');
+  select.value = currentMode;
+  select.addEventListener('change', () => onChange(setSynonymMode(select.value)));
+}
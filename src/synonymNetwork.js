@@ -0,0 +1,230 @@
+// Synonymy network of a taxon: its names and those of its clade, drawn as a force-directed graph
+// Every valid taxon in the clade (the taxon itself, then its descendants breadth first) brings
+// its synonym records from all_synonyms.json: one edge from the valid name to each invalid
+// name, coloured by synonym type. Thin dashed grey edges join each valid taxon to its nearest
+// ancestor in the graph, so a genus shows which species the synonyms belong to. Invalid names
+// are drawn hollow. Clicking a name that is rendered in the current tree focuses it there.
+// Usage:
+//   if (hasSynonymCluster(d)) showSynonymNetwork(d);   // opens #synonymNetwork
+//   panel.innerHTML = synonymNetworkButton(d, 'networkBtn');   // button for the info panels
+//   buildSynonymCluster(d);                            // { nodes, links, truncated }
+
+import { getSynonymInfo, isInvalidId, isSynonymsReady } from './synonyms.js';
+import { getCurrentTree } from './currentTree.js';
+import { synonymTypeColor } from './synonymFilter.js';
+import { escapeHtml } from './html.js';
+
+const MAX_TAXA = 60; // Valid taxa with synonyms drawn per network
+const WIDTH = 560;
+const HEIGHT = 420;
+const CLADE_COLOR = '#9ca3af';
+
+function hasSynonyms(d) {
+  const info = getSynonymInfo(d.data.id);
+  return Boolean(info && info.synonyms.length);
+}
+
+/**
+ * Whether a taxon or any taxon in its clade has synonyms
+ * @param {Object} d - Hierarchy node
+ * @returns {boolean}
+ */
+export function hasSynonymCluster(d) {
+  return Boolean(d && isSynonymsReady() && d.descendants().some(hasSynonyms));
+}
+
+/**
+ * "Synonym Network" button of the search and focus info panels
+ * @param {Object} d - Hierarchy node
+ * @param {string} id - Element ID, for attaching the click listener
+ * @returns {string} Button HTML, or '' when the clade has no synonyms
+ */
+export function synonymNetworkButton(d, id) {
+  if (!hasSynonymCluster(d)) return '';
+  return `
+      <button id="${id}" style="
+        margin-top: 12px;
+        padding: 8px 16px;
+        background: #fff;
+        color: #2e7d32;
+        border: 1px solid #43a047;
+        border-radius: 8px;
+        cursor: pointer;
+        font-size: 14px;
+        font-weight: 600;
+        font-family: 'DM Sans', sans-serif;
+        display: inline-flex;
+        align-items: center;
+        gap: 6px;
+        transition: all 0.2s ease;
+      " onmouseover="this.style.background='#e8f5e9'" onmouseout="this.style.background='#fff'">
+        Synonym Network
+      </button>
+    `;
+}
+
+/**
+ * Collect the synonymy network of a taxon's clade
+ * @param {Object} d - Hierarchy node
+ * @param {number} maxTaxa - Stop after this many valid taxa with synonyms
+ * @returns {Object} { nodes: [{ id, name, invalid, focus }], links: [{ source, target, clade, typeId, type, modified }], truncated }
+ */
+export function buildSynonymCluster(d, maxTaxa = MAX_TAXA) {
+  const nodes = new Map(); // id -> node
+  const links = [];
+  const included = new Map(); // Tree node -> graph id
+  const seenValid = new Set();
+  let truncated = false;
+
+  function addNode(id, name, invalid) {
+    if (!nodes.has(id)) nodes.set(id, { id, name, invalid, focus: false });
+    return nodes.get(id);
+  }
+
+  addNode(d.data.id, d.data.name, isSynonymsReady() && isInvalidId(d.data.id)).focus = true;
+  included.set(d, d.data.id);
+
+  for (const n of d.descendants()) { // Breadth first
+    const info = isSynonymsReady() ? getSynonymInfo(n.data.id) : null;
+    if (!info || !info.synonyms.length || seenValid.has(info.validId)) continue;
+    if (seenValid.size >= maxTaxa) {
+      truncated = true;
+      break;
+    }
+    seenValid.add(info.validId);
+    addNode(info.validId, info.validName, false);
+    info.synonyms.forEach(syn => {
+      addNode(syn.invalid_id, syn.invalid_name, true);
+      links.push({
+        source: info.validId,
+        target: syn.invalid_id,
+        clade: false,
+        typeId: syn.synonymtypeid,
+        type: syn.synonymtype || 'unknown type',
+        modified: syn.recdatemodified || null
+      });
+    });
+    if (n !== d) included.set(n, n.data.id);
+  }
+
+  // Join each included taxon to its nearest included ancestor
+  included.forEach((id, n) => {
+    if (n === d) return;
+    let ancestor = n.parent;
+    while (ancestor && !included.has(ancestor)) ancestor = ancestor.parent;
+    if (ancestor && included.get(ancestor) !== id) {
+      links.push({ source: included.get(ancestor), target: id, clade: true });
+    }
+  });
+
+  return { nodes: [...nodes.values()], links, truncated };
+}
+
+function legendHtml(links) {
+  const types = new Map(); // typeId -> type
+  links.forEach(l => {
+    if (!l.clade && !types.has(l.typeId)) types.set(l.typeId, l.type);
+  });
+  const swatch = (color, dashed) =>
+    `<span style="display:inline-block;width:18px;border-top:2px ${dashed ? 'dashed' : 'solid'} ${color};vertical-align:middle;margin-right:6px;"></span>`;
+  const rows = [...types].sort((a, b) => a[0] - b[0])
+    .map(([typeId, type]) => `<div>${swatch(synonymTypeColor(typeId), false)}${escapeHtml(type)}</div>`);
+  rows.push(`<div>${swatch(CLADE_COLOR, true)}part of the clade above</div>`);
+  rows.push('<div><span class="synonym-network-key valid"></span>valid name <span class="synonym-network-key invalid" style="margin-left:8px;"></span>invalid name</div>');
+  return rows.join('');
+}
+
+function close() {
+  const panel = document.getElementById('synonymNetwork');
+  if (panel) panel.hidden = true;
+}
+
+/**
+ * Draw the synonymy network of a taxon's clade in #synonymNetwork
+ * @param {Object} d - Hierarchy node of the rendered tree
+ */
+export function showSynonymNetwork(d) {
+  const panel = document.getElementById('synonymNetwork');
+  if (!panel || !d) return;
+  const { nodes, links, truncated } = buildSynonymCluster(d);
+  const tree = getCurrentTree();
+  const renderedIds = new Set(tree ? tree.root.descendants().map(n => n.data.id) : []);
+  const synonymCount = links.filter(l => !l.clade).length;
+
+  panel.innerHTML = `
+    <div class="synonym-network-header">
+      <div style="flex:1;">
+        <div style="font-weight:600;">Synonymy of ${escapeHtml(d.data.name)}</div>
+        <div style="font-size:12px;color:#6b7280;">
+          ${nodes.length} names, ${synonymCount} synonym records${truncated ? ` (first ${MAX_TAXA} valid taxa of the clade)` : ''} – click a name to find it in the tree
+        </div>
+      </div>
+      <button class="control-btn synonym-network-close" title="Close" aria-label="Close">×</button>
+    </div>
+    <svg class="synonym-network-graph" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="Synonymy network of ${escapeHtml(d.data.name)}"></svg>
+    <div class="synonym-network-legend">${legendHtml(links)}</div>
+  `;
+  panel.hidden = false;
+  panel.querySelector('.synonym-network-close').addEventListener('click', close);
+
+  // Laid out in one go, so nothing keeps running once the panel is drawn
+  const simulation = d3.forceSimulation(nodes)
+    .force('link', d3.forceLink(links).id(n => n.id).distance(l => (l.clade ? 70 : 45)))
+    .force('charge', d3.forceManyBody().strength(-160))
+    .force('x', d3.forceX(WIDTH / 2).strength(0.05))
+    .force('y', d3.forceY(HEIGHT / 2).strength(0.05))
+    .force('collide', d3.forceCollide(14))
+    .stop();
+  simulation.tick(300);
+
+  const svg = d3.select(panel).select('svg');
+  const g = svg.append('g');
+  const zoom = d3.zoom().scaleExtent([0.2, 4]).on('zoom', (event) => g.attr('transform', event.transform));
+  svg.call(zoom);
+
+  // Fit the laid out graph (with room for labels) into the view
+  const [x0, x1] = d3.extent(nodes, n => n.x);
+  const [y0, y1] = d3.extent(nodes, n => n.y);
+  const scale = Math.min(1.5, (WIDTH - 160) / Math.max(1, x1 - x0), (HEIGHT - 60) / Math.max(1, y1 - y0));
+  svg.call(zoom.transform, d3.zoomIdentity
+    .translate(WIDTH / 2 - scale * (x0 + x1) / 2, HEIGHT / 2 - scale * (y0 + y1) / 2)
+    .scale(scale));
+
+  g.append('g')
+    .selectAll('line')
+    .data(links)
+    .join('line')
+    .attr('x1', l => l.source.x)
+    .attr('y1', l => l.source.y)
+    .attr('x2', l => l.target.x)
+    .attr('y2', l => l.target.y)
+    .attr('stroke', l => (l.clade ? CLADE_COLOR : synonymTypeColor(l.typeId)))
+    .attr('stroke-width', l => (l.clade ? 1 : 2))
+    .attr('stroke-dasharray', l => (l.clade ? '4 3' : null))
+    .append('title')
+    .text(l => (l.clade ? `${l.target.name} in ${l.source.name}` : `${l.target.name} → ${l.source.name}: ${l.type}${l.modified ? ` (modified ${String(l.modified).slice(0, 10)})` : ''}`));
+
+  const node = g.append('g')
+    .selectAll('g')
+    .data(nodes)
+    .join('g')
+    .attr('class', n => `synonym-network-node${renderedIds.has(n.id) ? ' rendered' : ''}`)
+    .attr('transform', n => `translate(${n.x},${n.y})`);
+  node.append('circle')
+    .attr('r', n => (n.focus ? 8 : 6))
+    .attr('fill', n => (n.invalid ? '#fff' : '#43a047'))
+    .attr('stroke', n => (n.invalid ? '#f59e0b' : '#2e7d32'))
+    .attr('stroke-width', n => (n.focus ? 3 : 2));
+  node.append('text')
+    .attr('x', 10)
+    .attr('dy', '0.32em')
+    .style('font-weight', n => (n.focus ? 700 : null))
+    .style('font-style', n => (n.invalid ? 'italic' : null))
+    .text(n => n.name);
+  node.append('title')
+    .text(n => `${n.name} (${n.id}) – ${n.invalid ? 'invalid name' : 'valid name'}${renderedIds.has(n.id) ? '' : ', not in the rendered tree'}`);
+  node.filter('.rendered').on('click', (event, n) => {
+    const current = getCurrentTree();
+    if (current) current.focusById(n.id);
+  });
+}
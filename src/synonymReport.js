@@ -0,0 +1,299 @@
+// Integrity report for the synonym table (all_synonyms.json)
+// SynonymManager keeps the last mapping when an ID or name is listed twice, so problems in the
+// table do not show in the tree. The report lists them so they can be fixed upstream:
+//   conflict      an invalid ID is a synonym of more than one valid taxon
+//   name          a name (valid or invalid) belongs to more than one valid taxon
+//   duplicate     a valid ID has more than one entry
+//   chain         a valid ID is also listed as another taxon's invalid ID
+//   cycle         following valid ID -> invalid ID links leads back to the start
+//   cross-group   the entry's taxagroupid differs from the group of its taxa in taxonpaths.json
+//   missing       a valid or invalid ID is not in taxonpaths.json
+// Usage:
+//   const report = buildSynonymReport(getSynonymRecords(), allRows);
+//   showSynonymReport(report);             // #info, with a CSV download
+//   setupSynonymReport({ getRows });       // #synonymReportBtn
+
+import { initSynonyms, getSynonymRecords, isSynonymsReady } from './synonyms.js';
+import { getCurrentTree } from './currentTree.js';
+import { rowsToCsv } from './exportTree.js';
+import { downloadText } from './download.js';
+import { escapeHtml } from './html.js';
+
+export const REPORT_KINDS = ['conflict', 'name', 'duplicate', 'chain', 'cycle', 'cross-group', 'missing'];
+const REPORT_LABELS = {
+  conflict: 'Invalid ID under several valid taxa',
+  name: 'Name under several valid taxa',
+  duplicate: 'Valid ID with several entries',
+  chain: 'Valid ID also listed as a synonym',
+  cycle: 'Synonym cycles',
+  'cross-group': 'Taxon group mismatches',
+  missing: 'IDs missing from taxonpaths.json'
+};
+const MAX_LISTED_ISSUES = 50; // Per kind in the panel; the CSV has all of them
+
+function issue(kind, entry, fields) {
+  return {
+    kind,
+    taxagroupid: entry.taxagroupid || '',
+    valid_id: entry.valid_id,
+    valid_name: entry.valid_name,
+    invalid_id: '',
+    invalid_name: '',
+    other_id: '',
+    other_name: '',
+    other_taxagroupid: '',
+    detail: '',
+    ...fields
+  };
+}
+
+/**
+ * Check the synonym table for conflicting, circular and dangling records
+ * @param {Array} entries - Entries of all_synonyms.json { valid_id, valid_name, taxagroupid, synonyms }
+ * @param {Array} rows - Taxon path rows (taxonpaths.json); without rows the group and missing ID checks are skipped
+ * @returns {Object} { issues: [{ kind, taxagroupid, valid_id, valid_name, invalid_id, invalid_name, other_id, other_name, other_taxagroupid, detail }], counts, checkedRows }
+ */
+export function buildSynonymReport(entries, rows = []) {
+  const issues = [];
+  const byValidId = new Map(); // valid_id -> entries
+  const byInvalidId = new Map(); // invalid_id -> [{ entry, syn }]
+  const byName = new Map(); // lowercase name -> Map(valid_id -> { entry, id, name })
+  const nameOf = id => (byValidId.has(id) ? byValidId.get(id)[0].valid_name : String(id));
+
+  const addName = (name, id, entry) => {
+    if (!name) return;
+    const key = name.toLowerCase();
+    if (!byName.has(key)) byName.set(key, new Map());
+    if (!byName.get(key).has(entry.valid_id)) byName.get(key).set(entry.valid_id, { entry, id, name });
+  };
+  entries.forEach(entry => {
+    if (!byValidId.has(entry.valid_id)) byValidId.set(entry.valid_id, []);
+    byValidId.get(entry.valid_id).push(entry);
+    addName(entry.valid_name, entry.valid_id, entry);
+    (entry.synonyms || []).forEach(syn => {
+      if (!byInvalidId.has(syn.invalid_id)) byInvalidId.set(syn.invalid_id, []);
+      byInvalidId.get(syn.invalid_id).push({ entry, syn });
+      addName(syn.invalid_name, syn.invalid_id, entry);
+    });
+  });
+
+  // Valid IDs with several entries: the maps keep the last one
+  byValidId.forEach(list => {
+    list.slice(0, -1).forEach(entry => {
+      const kept = list[list.length - 1];
+      issues.push(issue('duplicate', entry, {
+        other_id: kept.valid_id,
+        other_name: kept.valid_name,
+        other_taxagroupid: kept.taxagroupid || '',
+        detail: `${list.length} entries for valid ID ${entry.valid_id}; only the last (${kept.valid_name}) is used`
+      }));
+    });
+  });
+
+  // Invalid IDs under several valid taxa: idToValidId keeps the last
+  byInvalidId.forEach((list, invalidId) => {
+    const validIds = new Set(list.map(({ entry }) => entry.valid_id));
+    if (validIds.size < 2) return;
+    const kept = list[list.length - 1].entry;
+    list.filter(({ entry }) => entry.valid_id !== kept.valid_id).forEach(({ entry, syn }) => {
+      issues.push(issue('conflict', entry, {
+        invalid_id: invalidId,
+        invalid_name: syn.invalid_name,
+        other_id: kept.valid_id,
+        other_name: kept.valid_name,
+        other_taxagroupid: kept.taxagroupid || '',
+        detail: `Invalid ID ${invalidId} is a synonym of ${validIds.size} valid taxa; ${kept.valid_name} (${kept.valid_id}) wins`
+      }));
+    });
+  });
+
+  // Names of different taxa under several valid taxa: nameToValidId keeps the last
+  // (one invalid ID under several valid taxa is already a conflict)
+  byName.forEach(byValid => {
+    const list = [...byValid.values()];
+    if (new Set(list.map(item => item.id)).size < 2) return;
+    const { entry: kept } = list[list.length - 1];
+    list.slice(0, -1).forEach(({ entry, id, name }) => {
+      const isInvalid = id !== entry.valid_id;
+      issues.push(issue('name', entry, {
+        invalid_id: isInvalid ? id : '',
+        invalid_name: isInvalid ? name : '',
+        other_id: kept.valid_id,
+        other_name: kept.valid_name,
+        other_taxagroupid: kept.taxagroupid || '',
+        detail: `"${name}" belongs to ${byValid.size} valid taxa; name lookups resolve to ${kept.valid_name} (${kept.valid_id})`
+      }));
+    });
+  });
+
+  // Chains and cycles: follow valid ID -> the valid taxon it is a synonym of
+  const parentOf = id => (byInvalidId.has(id) ? byInvalidId.get(id)[byInvalidId.get(id).length - 1].entry.valid_id : null);
+  const reportedCycles = new Set();
+  byValidId.forEach((list, validId) => {
+    if (!byInvalidId.has(validId)) return;
+    const path = [validId];
+    let next = parentOf(validId);
+    while (next !== null && !path.includes(next)) {
+      path.push(next);
+      next = parentOf(next);
+    }
+    const entry = list[0];
+    const { entry: synonymOf, syn } = byInvalidId.get(validId)[byInvalidId.get(validId).length - 1];
+    if (next !== null) {
+      const cycle = path.slice(path.indexOf(next));
+      const key = [...cycle].sort((a, b) => a - b).join(',');
+      if (reportedCycles.has(key)) return;
+      reportedCycles.add(key);
+      issues.push(issue('cycle', entry, {
+        invalid_id: validId,
+        invalid_name: syn.invalid_name,
+        other_id: synonymOf.valid_id,
+        other_name: synonymOf.valid_name,
+        other_taxagroupid: synonymOf.taxagroupid || '',
+        detail: `Cycle: ${cycle.concat(next).map(id => `${nameOf(id)} (${id})`).join(' → ')}`
+      }));
+    } else {
+      issues.push(issue('chain', entry, {
+        invalid_id: validId,
+        invalid_name: syn.invalid_name,
+        other_id: synonymOf.valid_id,
+        other_name: synonymOf.valid_name,
+        other_taxagroupid: synonymOf.taxagroupid || '',
+        detail: `Valid ID ${validId} is also a synonym: ${path.map(id => `${nameOf(id)} (${id})`).join(' → ')}`
+      }));
+    }
+  });
+
+  if (rows.length) {
+    // Group of every taxon in taxonpaths.json (imported copies keep their source group)
+    const groupOf = new Map();
+    const knownIds = new Set();
+    rows.forEach(row => {
+      const group = row.sourceTaxagroupid || row.taxagroupid;
+      if (row.taxonid != null && !groupOf.has(row.taxonid)) groupOf.set(row.taxonid, group);
+      (row.ids_root_to_leaf || []).forEach(id => knownIds.add(id));
+      if (row.taxonid != null) knownIds.add(row.taxonid);
+    });
+
+    entries.forEach(entry => {
+      const group = entry.taxagroupid;
+      const validGroup = groupOf.get(entry.valid_id);
+      if (group && validGroup && validGroup !== group) {
+        issues.push(issue('cross-group', entry, {
+          other_taxagroupid: validGroup,
+          detail: `Entry is in ${group} but valid taxon ${entry.valid_id} is in ${validGroup}`
+        }));
+      }
+      if (!knownIds.has(entry.valid_id)) {
+        issues.push(issue('missing', entry, { detail: `Valid ID ${entry.valid_id} is not in taxonpaths.json` }));
+      }
+      (entry.synonyms || []).forEach(syn => {
+        const invalidGroup = groupOf.get(syn.invalid_id);
+        const expected = validGroup || group;
+        if (expected && invalidGroup && invalidGroup !== expected) {
+          issues.push(issue('cross-group', entry, {
+            invalid_id: syn.invalid_id,
+            invalid_name: syn.invalid_name,
+            other_taxagroupid: invalidGroup,
+            detail: `Synonym ${syn.invalid_name} (${syn.invalid_id}) is in ${invalidGroup}, its valid taxon in ${expected}`
+          }));
+        }
+        if (!knownIds.has(syn.invalid_id)) {
+          issues.push(issue('missing', entry, {
+            invalid_id: syn.invalid_id,
+            invalid_name: syn.invalid_name,
+            detail: `Invalid ID ${syn.invalid_id} is not in taxonpaths.json`
+          }));
+        }
+      });
+    });
+  }
+
+  const counts = Object.fromEntries(REPORT_KINDS.map(kind => [kind, issues.filter(i => i.kind === kind).length]));
+  return { issues, counts, checkedRows: rows.length > 0 };
+}
+
+/**
+ * Format the report as CSV, one issue per line
+ * @param {Object} report - Result of buildSynonymReport
+ * @returns {string} CSV text
+ */
+export function synonymReportToCsv(report) {
+  return rowsToCsv(report.issues);
+}
+
+/**
+ * Show the report in #info
+ * @param {Object} report - Result of buildSynonymReport
+ */
+export function showSynonymReport(report) {
+  const panel = document.getElementById('info');
+  if (!panel) return;
+  const total = report.issues.length;
+
+  const sections = REPORT_KINDS.filter(kind => report.counts[kind]).map(kind => {
+    const list = report.issues.filter(i => i.kind === kind);
+    const items = list.slice(0, MAX_LISTED_ISSUES).map(i => `
+      <div class="synonym-report-issue" data-id="${i.invalid_id !== '' ? i.invalid_id : i.valid_id}" style="padding:3px 0;cursor:pointer;font-size:13px;border-bottom:1px solid #f3f4f6;">
+        <strong>${escapeHtml(i.valid_name)}</strong> <span style="color:#9ca3af;">${i.valid_id}${i.taxagroupid ? `, ${escapeHtml(i.taxagroupid)}` : ''}</span>
+        <div style="color:#6b7280;font-size:12px;">${escapeHtml(i.detail)}</div>
+      </div>
+    `).join('');
+    const more = list.length > MAX_LISTED_ISSUES ? `<div style="font-size:12px;color:#6b7280;">…and ${list.length - MAX_LISTED_ISSUES} more (see the CSV)</div>` : '';
+    return `
+      <div style="margin-top:8px;padding-left:8px;border-left:3px solid #f59e0b;">
+        <div style="font-weight:600;color:#92400e;">${REPORT_LABELS[kind]} (${list.length})</div>
+        ${items}${more}
+      </div>
+    `;
+  }).join('');
+
+  panel.innerHTML = `
+    <div style="font-weight:600;margin-bottom:6px;">Synonym Integrity Report</div>
+    <div style="font-size:14px;color:#374151;margin-bottom:6px;">
+      ${total ? `${total} issue${total === 1 ? '' : 's'} found` : 'No problems found'}
+      ${report.checkedRows ? '' : '<div style="font-size:12px;color:#6b7280;">Taxon paths not loaded: group and missing ID checks skipped</div>'}
+    </div>
+    ${total ? '<button id="synonymReportCsvBtn" class="control-btn">Download CSV</button>' : ''}
+    <div style="max-height:360px;overflow-y:auto;">${sections}</div>
+  `;
+  panel.style.display = 'block';
+
+  const csvBtn = document.getElementById('synonymReportCsvBtn');
+  if (csvBtn) {
+    csvBtn.addEventListener('click', () => downloadText(synonymReportToCsv(report), 'synonym-integrity-report.csv', 'text/csv'));
+  }
+  panel.querySelectorAll('.synonym-report-issue').forEach(item => {
+    item.addEventListener('click', () => {
+      const tree = getCurrentTree();
+      if (tree) tree.focusById(Number(item.dataset.id));
+    });
+  });
+}
+
+/**
+ * Wire #synonymReportBtn
+ * @param {Object} options - { getRows() } every loaded taxon path row
+ */
+export function setupSynonymReport({ getRows }) {
+  const button = document.getElementById('synonymReportBtn');
+  if (!button) return;
+  button.addEventListener('click', async () => {
+    let report;
+    try {
+      await initSynonyms();
+      // A failed load is only logged by initSynonyms; an empty table would look clean
+      if (!isSynonymsReady()) throw new Error('all_synonyms.json is unavailable (see the console)');
+      report = buildSynonymReport(getSynonymRecords(), getRows() || []);
+    } catch (error) {
+      console.error('Synonym integrity report failed:', error);
+      const panel = document.getElementById('info');
+      if (panel) {
+        panel.innerHTML = `<div style="font-weight:600;margin-bottom:6px;">Synonym Integrity Report</div><div style="color:#b91c1c;">Could not load the synonym table: ${escapeHtml(error.message)}</div>`;
+        panel.style.display = 'block';
+      }
+      return;
+    }
+    showSynonymReport(report);
+  });
+}
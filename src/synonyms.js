@@ -1,6 +1,8 @@
 // Synonym management for taxonomic names
 // Handles bidirectional mapping between valid and invalid taxon IDs/names
 
+import { loadCachedDataset } from './dataCache.js';
+
 class SynonymManager {
   constructor() {
     // ID mappings
@@ -13,71 +15,115 @@ class SynonymManager {
     
     // Metadata
     this.validIdToInfo = new Map(); // Stores complete info for each valid taxon
+    this.entries = []; // Entries of all_synonyms.json as loaded, including those the maps overwrite
     this.isLoaded = false;
+    this.loading = null; // Pending load() promise
   }
   
   /**
-   * Load and process synonym data from all_synonyms.json
+   * Load synonym data from all_synonyms.json
+   * The parsed maps are kept in IndexedDB and reused until the file changes (see dataCache.js).
+   * @param {string} url - Location of the file (workers pass an absolute URL)
    */
-  async load() {
+  async load(url = 'data/all_synonyms.json') {
     if (this.isLoaded) return;
+    if (this.loading) return this.loading;
     
-    try {
-      const response = await fetch('data/all_synonyms.json');
-      const synonymData = await response.json();
-      
-      // Build mappings
-      synonymData.forEach(entry => {
-        const validId = entry.valid_id;
-        const validName = entry.valid_name;
-        const synonyms = entry.synonyms || [];
-        
-        // Initialize sets for this valid ID
-        const allIds = new Set([validId]);
-        const allNames = new Set([validName]);
-        
-        // Map valid ID to itself
-        this.idToValidId.set(validId, validId);
+    this.loading = (async () => {
+      try {
+        const maps = await loadCachedDataset('synonyms', url, synonymData => {
+          this.buildMaps(synonymData);
+          return this.getMaps();
+        });
+        Object.assign(this, maps);
         
-        // Map valid name to valid ID (case-insensitive)
-        this.nameToValidId.set(validName.toLowerCase(), validId);
+        this.isLoaded = true;
+        console.log(`Loaded ${this.validIdToInfo.size} synonym entries`);
+        console.log(`Total ID mappings: ${this.idToValidId.size}`);
+        console.log(`Total name mappings: ${this.nameToValidId.size}`);
+      } catch (error) {
+        console.error('Failed to load synonym data:', error);
+      } finally {
+        this.loading = null;
+      }
+    })();
+    return this.loading;
+  }
+  
+  /**
+   * Process synonym data into the ID and name mappings
+   * @param {Array} synonymData - Entries of all_synonyms.json
+   */
+  buildMaps(synonymData) {
+    this.entries = synonymData;
+    let overwritten = 0;
+    const mapId = (id, validId) => {
+      if (this.idToValidId.has(id) && this.idToValidId.get(id) !== validId) overwritten++;
+      this.idToValidId.set(id, validId);
+    };
+
+    // Build mappings
+    synonymData.forEach(entry => {
+      const validId = entry.valid_id;
+      const validName = entry.valid_name;
+      const synonyms = entry.synonyms || [];
+      
+      // Initialize sets for this valid ID
+      const allIds = new Set([validId]);
+      const allNames = new Set([validName]);
+      
+      // Map valid ID to itself
+      mapId(validId, validId);
+      
+      // Map valid name to valid ID (case-insensitive)
+      this.nameToValidId.set(validName.toLowerCase(), validId);
+      
+      // Process each synonym
+      synonyms.forEach(syn => {
+        const invalidId = syn.invalid_id;
+        const invalidName = syn.invalid_name;
         
-        // Process each synonym
-        synonyms.forEach(syn => {
-          const invalidId = syn.invalid_id;
-          const invalidName = syn.invalid_name;
-          
-          // Map invalid ID to valid ID
-          this.idToValidId.set(invalidId, validId);
-          
-          // Map invalid name to valid ID (case-insensitive)
-          this.nameToValidId.set(invalidName.toLowerCase(), validId);
-          
-          // Add to sets
-          allIds.add(invalidId);
-          allNames.add(invalidName);
-        });
+        // Map invalid ID to valid ID
+        mapId(invalidId, validId);
         
-        // Store complete sets
-        this.validIdToAllIds.set(validId, allIds);
-        this.validIdToAllNames.set(validId, allNames);
+        // Map invalid name to valid ID (case-insensitive)
+        this.nameToValidId.set(invalidName.toLowerCase(), validId);
         
-        // Store complete info
-        this.validIdToInfo.set(validId, {
-          validId: validId,
-          validName: validName,
-          taxagroupid: entry.taxagroupid,
-          synonyms: synonyms
-        });
+        // Add to sets
+        allIds.add(invalidId);
+        allNames.add(invalidName);
       });
       
-      this.isLoaded = true;
-      console.log(`Loaded ${synonymData.length} synonym entries`);
-      console.log(`Total ID mappings: ${this.idToValidId.size}`);
-      console.log(`Total name mappings: ${this.nameToValidId.size}`);
-    } catch (error) {
-      console.error('Failed to load synonym data:', error);
-    }
+      // Store complete sets
+      this.validIdToAllIds.set(validId, allIds);
+      this.validIdToAllNames.set(validId, allNames);
+      
+      // Store complete info
+      this.validIdToInfo.set(validId, {
+        validId: validId,
+        validName: validName,
+        taxagroupid: entry.taxagroupid,
+        synonyms: synonyms
+      });
+    });
+
+    // The last entry wins; the conflicts are listed by the integrity report (synonymReport.js)
+    if (overwritten) console.warn(`${overwritten} synonym IDs are mapped to more than one valid taxon`);
+  }
+  
+  /**
+   * The mappings as one structured-cloneable object (stored by the data cache)
+   * @returns {Object} { idToValidId, validIdToAllIds, nameToValidId, validIdToAllNames, validIdToInfo, entries }
+   */
+  getMaps() {
+    return {
+      idToValidId: this.idToValidId,
+      validIdToAllIds: this.validIdToAllIds,
+      nameToValidId: this.nameToValidId,
+      validIdToAllNames: this.validIdToAllNames,
+      validIdToInfo: this.validIdToInfo,
+      entries: this.entries
+    };
   }
   
   /**
@@ -153,6 +199,22 @@ class SynonymManager {
     return this.validIdToInfo.get(validId) || null;
   }
   
+  /**
+   * Get the synonym info of every valid taxon
+   * @returns {Array} Objects like those of getSynonymInfo
+   */
+  getAllEntries() {
+    return Array.from(this.validIdToInfo.values());
+  }
+  
+  /**
+   * Get the entries of all_synonyms.json as loaded (duplicates and conflicts included)
+   * @returns {Array} Entries { valid_id, valid_name, taxagroupid, synonyms }
+   */
+  getRawEntries() {
+    return this.entries;
+  }
+  
   /**
    * Get the valid name for any given ID
    * @param {number} id - Any taxon ID (valid or invalid)
@@ -176,8 +238,8 @@ class SynonymManager {
 const synonymManager = new SynonymManager();
 
 // Export functions
-export async function initSynonyms() {
-  await synonymManager.load();
+export async function initSynonyms(url) {
+  await synonymManager.load(url);
 }
 
 export function getAllSynonymIds(id) {
@@ -196,6 +258,14 @@ export function getSynonymInfo(id) {
   return synonymManager.getSynonymInfo(id);
 }
 
+export function getAllSynonymEntries() {
+  return synonymManager.getAllEntries();
+}
+
+export function getSynonymRecords() {
+  return synonymManager.getRawEntries();
+}
+
 export function isSynonymsReady() {
   return synonymManager.isReady();
 }
@@ -0,0 +1,329 @@
+// Taxon path dataset (data/taxonpaths.json) helpers
+// Pure functions without DOM access, so they run in the tree worker (src/treeWorker.js)
+// as well as on the main thread.
+// Usage:
+//   const allRows = await loadTaxonPathRows(url, (stage, done, total) => { ... });  // cached in IndexedDB
+//   const allRows = convertTaxonPaths(json);
+//   const { mainTree, orphanTree } = buildInitialView(allRows);
+
+import { loadCachedDataset } from './dataCache.js';
+
+const PROGRESS_EVERY = 5000; // Rows between progress reports
+
+// Stands for the full converted dataset in worker messages, so it is not copied on every render
+export const LOADED_ROWS = '@loadedRows';
+
+/**
+ * Convert data/taxonpaths.json format to the format expected by renderMammalTree
+ * @param {Object} data - Parsed taxonpaths.json
+ * @param {Function} onProgress - Optional (done, total) callback while rows are converted
+ * @returns {Array} Path rows { taxonid, taxonname, ids_root_to_leaf, names_root_to_leaf, taxagroupid }
+ */
+export function convertTaxonPaths(data, onProgress = () => {}) {
+  // data is an object with a SQL query string as key and array as value
+  const rows = Object.values(data)[0] || [];
+
+  // Helper function to parse comma-separated taxon names, respecting commas inside parentheses
+  function parseTaxonNames(taxonnames) {
+    if (!taxonnames || typeof taxonnames !== 'string') return [];
+
+    const names = [];
+    let current = '';
+    let depth = 0; // Track depth of parentheses nesting
+
+    for (let i = 0; i < taxonnames.length; i++) {
+      const char = taxonnames[i];
+
+      if (char === '(') {
+        depth++;
+        current += char;
+      } else if (char === ')') {
+        depth--;
+        current += char;
+      } else if (char === ',' && depth === 0) {
+        // Only split on comma if we're not inside parentheses
+        if (current.trim()) {
+          names.push(current.trim());
+        }
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    // Add the last name
+    if (current.trim()) {
+      names.push(current.trim());
+    }
+
+    return names;
+  }
+
+  return rows.map((row, index) => {
+    if (index % PROGRESS_EVERY === 0) onProgress(index, rows.length);
+    // Convert array_to_string (comma-separated IDs) to array
+    const ids_root_to_leaf = row.array_to_string
+      ? row.array_to_string.split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id))
+      : [];
+    // Convert taxonnames (comma-separated names) to array, respecting commas inside parentheses
+    const names_root_to_leaf = parseTaxonNames(row.taxonnames);
+
+    return {
+      taxonid: row.taxonid,
+      taxonname: row.taxonname,
+      ids_root_to_leaf: ids_root_to_leaf,
+      names_root_to_leaf: names_root_to_leaf,
+      taxagroupid: row.taxagroupid
+    };
+  });
+}
+
+// Progress stages for the data cache statuses
+const LOAD_STAGES = {
+  checking: 'Checking taxon paths for updates',
+  downloading: 'Downloading taxon paths',
+  parsing: 'Parsing taxon paths',
+  cached: 'Loading cached taxon paths',
+  offline: 'Offline: loading cached taxon paths'
+};
+
+/**
+ * Load data/taxonpaths.json as converted rows, reusing the IndexedDB copy while the file is unchanged
+ * @param {string} url - Absolute URL of the file
+ * @param {Function} onProgress - Optional (stage, done, total) callback
+ * @returns {Promise<Array>} Rows from convertTaxonPaths
+ */
+export function loadTaxonPathRows(url, onProgress = () => {}) {
+  return loadCachedDataset(
+    'taxonpaths',
+    url,
+    data => convertTaxonPaths(data, (done, total) => onProgress(LOAD_STAGES.parsing, done, total)),
+    { onStatus: status => onProgress(LOAD_STAGES[status]) }
+  );
+}
+
+/**
+ * Build initial 4-level view (Eukaryota, Animalia, Vertebrata, Mammalia)
+ * Returns both main tree and orphan tree
+ * @param {Array} allRows - Rows from convertTaxonPaths
+ * @returns {Object} { mainTree, orphanTree } arrays of nested { id, name, taxagroupid, children } nodes
+ */
+export function buildInitialView(allRows) {
+  // Build first 4 levels for ALL data (not grouped by taxagroupid)
+  const levelMap = new Map(); // Map of level -> Map of id -> nodeData
+  const idToTaxagroupid = new Map(); // Track taxagroupid for each node ID
+  const standaloneOrphans = []; // Nodes with only one ID (no hierarchical path)
+
+  allRows.forEach(row => {
+    const ids = row.ids_root_to_leaf || [];
+    const names = row.names_root_to_leaf || [];
+    const taxagroupid = row.taxagroupid;
+
+    // Check for standalone orphan nodes (only one ID, no path)
+    if (ids.length === 1 && names.length === 1) {
+      standaloneOrphans.push({
+        id: ids[0],
+        name: names[0],
+        taxagroupid: taxagroupid || 'MAM',
+        taxonid: row.taxonid,
+        taxonname: row.taxonname
+      });
+      return; // Skip processing for standalone orphans
+    }
+
+    // Only process rows with at least 4 levels
+    if (ids.length >= 4 && names.length >= 4) {
+      // Get first 4 levels
+      for (let i = 0; i < Math.min(4, ids.length); i++) {
+        const id = ids[i];
+        const name = names[i];
+
+        if (!levelMap.has(i)) {
+          levelMap.set(i, new Map());
+        }
+
+        const levelData = levelMap.get(i);
+        if (!levelData.has(id)) {
+          levelData.set(id, {
+            id: id,
+            name: name,
+            taxagroupids: new Set(), // Track all taxagroupids for this node
+            children: new Set(),
+            pathCount: 0 // Count how many paths go through this node
+          });
+        }
+
+        // Track taxagroupid
+        if (taxagroupid) {
+          levelData.get(id).taxagroupids.add(taxagroupid);
+          idToTaxagroupid.set(id, taxagroupid); // Store most recent taxagroupid
+        }
+
+        // Increment path count
+        levelData.get(id).pathCount++;
+
+        // Add child relationship
+        if (i > 0) {
+          const parentId = ids[i - 1];
+          const parentData = levelMap.get(i - 1);
+          if (parentData && parentData.has(parentId)) {
+            parentData.get(parentId).children.add(id);
+          }
+        }
+      }
+    }
+  });
+
+  // Convert to tree structure starting from level 0 (Eukaryota)
+  const rootNodes = [];
+  const orphanNodes = []; // Nodes with only one taxonname that aren't linking to anything
+  const rootLevel = levelMap.get(0);
+
+  if (rootLevel) {
+    rootLevel.forEach((nodeData, id) => {
+      // Use the most common taxagroupid for this node
+      const taxagroupids = Array.from(nodeData.taxagroupids);
+      const taxagroupid = taxagroupids[0] || 'MAM'; // Use first one as default
+
+      // Recursively build children up to level 3 (Mammalia)
+      function buildChildren(parentNode, level, isOrphan = false) {
+        if (level >= 3) return; // Stop at level 3 (Mammalia)
+
+        const nextLevel = levelMap.get(level + 1);
+        if (!nextLevel) return;
+
+        parentNode.children = [];
+        const parentData = levelMap.get(level).get(parentNode.id);
+        const childrenSet = parentData?.children || new Set();
+
+        childrenSet.forEach(childId => {
+          const childData = nextLevel.get(childId);
+
+          // Check if this is an orphan node (single taxonname, no children)
+          // An orphan node: appears in only one path AND has no children
+          const isOrphanNode = childData &&
+            childData.pathCount === 1 &&
+            childData.children.size === 0;
+
+          // For main tree: include if has children, is level 2, or has multiple paths
+          // For orphan tree: include only orphan nodes
+          const shouldInclude = isOrphan
+            ? isOrphanNode
+            : (childData &&
+              (childData.children.size > 0 || level === 2 || childData.pathCount > 1));
+
+          if (childData && shouldInclude) {
+            // Use the most common taxagroupid for this child
+            const childTaxagroupids = Array.from(childData.taxagroupids);
+            const childTaxagroupid = childTaxagroupids[0] || idToTaxagroupid.get(childId) || 'MAM';
+
+            const childNode = {
+              id: childId,
+              name: childData.name,
+              taxagroupid: childTaxagroupid,
+              children: []
+            };
+            buildChildren(childNode, level + 1, isOrphan);
+            parentNode.children.push(childNode);
+          }
+        });
+
+        // Remove children property if empty
+        if (parentNode.children.length === 0) {
+          delete parentNode.children;
+        }
+      }
+
+      // Build main tree node
+      if (nodeData.children.size > 0) {
+        const node = {
+          id: id,
+          name: nodeData.name,
+          taxagroupid: taxagroupid,
+          children: []
+        };
+        buildChildren(node, 0, false);
+
+        // Only add if node has children after building
+        if (node.children && node.children.length > 0) {
+          rootNodes.push(node);
+        }
+      }
+
+      // Build orphan tree node (nodes with single taxonname, no children)
+      // Check if this root has orphan descendants at any level
+      function hasOrphanDescendants(nodeId, level) {
+        if (level >= 3) return false;
+        const nodeData = levelMap.get(level)?.get(nodeId);
+        if (!nodeData) return false;
+
+        // Check if this node itself is an orphan (but only if it's not level 0)
+        if (level > 0 && nodeData.pathCount === 1 && nodeData.children.size === 0) {
+          return true;
+        }
+
+        // Check descendants
+        for (const childId of nodeData.children) {
+          if (hasOrphanDescendants(childId, level + 1)) {
+            return true;
+          }
+        }
+        return false;
+      }
+
+      if (hasOrphanDescendants(id, 0)) {
+        const orphanNode = {
+          id: id,
+          name: nodeData.name,
+          taxagroupid: taxagroupid,
+          children: []
+        };
+        buildChildren(orphanNode, 0, true);
+
+        // Only add if node has orphan children after building
+        if (orphanNode.children && orphanNode.children.length > 0) {
+          orphanNodes.push(orphanNode);
+        }
+      }
+    });
+  }
+
+  // Build orphan tree from standalone orphans
+  // Structure: Root -> taxagroupid -> orphan nodes
+  const orphanTreeByGroup = new Map();
+  let orphanGroupIdCounter = -1000000; // Use negative IDs to avoid conflicts
+
+  standaloneOrphans.forEach(orphan => {
+    const group = orphan.taxagroupid || 'MAM';
+    if (!orphanTreeByGroup.has(group)) {
+      orphanTreeByGroup.set(group, {
+        id: orphanGroupIdCounter--,
+        name: group, // Just the taxagroupid as the name
+        taxagroupid: group,
+        children: []
+      });
+    }
+    const groupRoot = orphanTreeByGroup.get(group);
+    groupRoot.children.push({
+      id: orphan.id,
+      name: orphan.name,
+      taxagroupid: orphan.taxagroupid,
+      children: []
+    });
+  });
+
+  // Add standalone orphans to orphan tree (these will be children of the synthetic root)
+  orphanTreeByGroup.forEach((groupRoot, group) => {
+    if (groupRoot.children.length > 0) {
+      orphanNodes.push(groupRoot);
+    }
+  });
+
+  console.log('Orphan nodes found:', {
+    standaloneOrphans: standaloneOrphans.length,
+    orphanTreeNodes: orphanNodes.length,
+    sampleOrphans: standaloneOrphans.slice(0, 5)
+  });
+
+  return { mainTree: rootNodes, orphanTree: orphanNodes };
+}
@@ -0,0 +1,95 @@
+// Tree building for renderMammalTree
+// Turns path rows (or the prebuilt node structure of the initial view) into the nested
+// tree that renderMammalTree hands to d3.hierarchy, adds missing synonym nodes and
+// stores path information for grouping. Runs in the tree worker (src/treeWorker.js)
+// or, where workers are unavailable, on the main thread.
+// Usage:
+//   const { treeData, byId, parentById } = buildTreeData({ rows, rootId, rootName }, synonymManager);
+
+import { normalizeRows, pathsToTree, addMissingSynonyms } from './data.js';
+import { enrichTreeWithPaths } from './grouping.js';
+
+/**
+ * Build the tree for one render
+ * @param {Object} options - renderMammalTree options: rows, allRowsForSynonyms, rootId, rootName, isInitialView, rootNodes, synonymFilter, synonymMode
+ * @param {Object} synonymManager - { isReady(), getSynonymInfo(id) }
+ * @param {Function} onProgress - Optional (stage) callback before each step
+ * @returns {Object} { treeData, byId: Map(id -> node), parentById: Map(id -> parent node) }
+ */
+export function buildTreeData({
+  rows,
+  allRowsForSynonyms = null,
+  rootId,
+  rootName,
+  isInitialView = false,
+  rootNodes = null,
+  synonymFilter = null,
+  synonymMode = 'separate'
+}, synonymManager, onProgress = () => {}) {
+  // 1) Build hierarchy from path-list
+  onProgress('Building tree');
+  const normalizedRows = normalizeRows(rows);
+
+  // For initial view with rootNodes, build tree from rootNodes structure
+  let treeData, byId, parentById;
+  if (isInitialView && rootNodes) {
+    // Build tree from rootNodes structure
+    const root = { id: rootId, name: rootName, children: [] };
+    byId = new Map([[root.id, root]]);
+    parentById = new Map();
+
+    function addNodeToTree(parent, nodeData) {
+      let child = byId.get(nodeData.id);
+      if (!child) {
+        child = {
+          id: nodeData.id,
+          name: nodeData.name,
+          taxagroupid: nodeData.taxagroupid,
+          children: []
+        };
+        byId.set(nodeData.id, child);
+        parentById.set(nodeData.id, parent);
+        if (!parent.children) parent.children = [];
+        parent.children.push(child);
+      }
+
+      if (nodeData.children && nodeData.children.length > 0) {
+        nodeData.children.forEach(childData => {
+          addNodeToTree(child, childData);
+        });
+      }
+    }
+
+    rootNodes.forEach(rootNode => {
+      addNodeToTree(root, rootNode);
+    });
+
+    // Prune empty children
+    (function prune(n) {
+      if (n.children && n.children.length) {
+        n.children.forEach(prune);
+      } else {
+        delete n.children;
+      }
+    })(root);
+
+    treeData = root;
+  } else {
+    const result = pathsToTree(normalizedRows, rootId, rootName);
+    treeData = result.root;
+    byId = result.byId;
+    parentById = result.parentById;
+  }
+
+  // 1.5) Add missing synonyms to the tree (the parent index avoids a tree search per synonym)
+  onProgress('Adding synonyms');
+  // Use allRowsForSynonyms if provided, otherwise use rows
+  const rowsForSynonymLookup = allRowsForSynonyms || rows;
+  addMissingSynonyms(treeData, byId, synonymManager, rowsForSynonymLookup, parentById, { filter: synonymFilter, mode: synonymMode });
+
+  // Enrich tree with path information for grouping
+  onProgress('Grouping');
+  enrichTreeWithPaths(treeData, normalizedRows);
+
+  return { treeData, byId, parentById };
+}
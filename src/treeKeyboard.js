@@ -0,0 +1,141 @@
+// Keyboard navigation and ARIA tree semantics for the rendered tree
+// The SVG gets role="tree" and every node <g> role="treeitem" with its level, position
+// among its siblings and (for clades) expanded state. One node at a time is in the tab
+// order (roving tabindex); the arrow keys move it:
+//   ArrowLeft   parent                    ArrowUp / ArrowDown   previous / next sibling
+//   ArrowRight  first child (expanding a collapsed clade first)
+//   Home        root                      Enter                 select (like a click)
+//   Shift+Enter open the subtree (like a double click)
+// Every move announces the node and its lineage in the #treeLiveRegion live region.
+// Usage:
+//   const keyboard = setupTreeKeyboard({ svg, root, node, collapse, onSelect, onDrillDown });
+//   keyboard.setActive(d);   // keep the tab stop on a node selected with the mouse
+//   keyboard.refresh();      // after collapsing or expanding clades
+
+/**
+ * Make the tree keyboard operable
+ * @param {Object} options
+ * @param {Object} options.svg - d3 selection of the tree's <svg>
+ * @param {Object} options.root - d3.hierarchy root
+ * @param {Object} options.node - d3 selection of the node groups
+ * @param {Object} options.collapse - Collapse controller (setupCollapse) or null
+ * @param {Function} options.onSelect - (d) => void, Enter
+ * @param {Function} options.onDrillDown - (d) => void, Shift+Enter on a node with children
+ * @returns {Object} { setActive(d), focus(d), refresh() }
+ */
+export function setupTreeKeyboard({ svg, root, node, collapse = null, onSelect, onDrillDown }) {
+  const isHidden = d => Boolean(collapse && collapse.isHidden(d));
+  const isCollapsed = d => Boolean(collapse && collapse.isCollapsed(d));
+  const liveRegion = document.getElementById('treeLiveRegion');
+  const elements = new Map(); // Node -> its <g>, so moving the tab stop touches two elements
+  node.each(function (d) { elements.set(d, this); });
+  let active = root;
+
+  svg.attr('role', 'tree')
+    .attr('aria-label', `Taxonomy of ${root.data.name}`)
+    .attr('aria-multiselectable', 'false');
+
+  node.attr('role', 'treeitem')
+    .attr('aria-level', d => d.depth + 1)
+    .attr('aria-setsize', d => (d.parent ? d.parent.children.length : 1))
+    .attr('aria-posinset', d => (d.parent ? d.parent.children.indexOf(d) + 1 : 1))
+    .attr('aria-label', d => d.data.name)
+    .attr('tabindex', d => (d === active ? 0 : -1));
+
+  function refresh() {
+    node.attr('aria-expanded', d => (d.children ? String(!isCollapsed(d)) : null))
+      .attr('aria-hidden', d => (isHidden(d) ? 'true' : null));
+    // The tab stop cannot stay inside a collapsed clade
+    if (isHidden(active)) setActive(active.ancestors().find(a => !isHidden(a)) || root);
+  }
+
+  function elementOf(d) {
+    return elements.get(d) || null;
+  }
+
+  function announce(d) {
+    if (!liveRegion) return;
+    const lineage = d.ancestors().reverse().map(a => a.data.name).join(', ');
+    const children = d.children ? d.children.length : 0;
+    const state = !children ? 'leaf' : `${children} ${children === 1 ? 'child' : 'children'}${isCollapsed(d) ? ', collapsed' : ''}`;
+    liveRegion.textContent = `${d.data.name}, level ${d.depth + 1}, ${state}. Lineage: ${lineage}`;
+  }
+
+  /**
+   * Move the tab stop to a node without focusing it
+   * @param {Object} d - Hierarchy node
+   */
+  function setActive(d) {
+    if (!d) return;
+    const previous = elementOf(active);
+    if (previous) {
+      previous.setAttribute('tabindex', -1);
+      previous.removeAttribute('aria-selected');
+    }
+    active = d;
+    const element = elementOf(active);
+    if (element) {
+      element.setAttribute('tabindex', 0);
+      element.setAttribute('aria-selected', 'true');
+    }
+  }
+
+  /**
+   * Move the tab stop to a node, focus it and announce it
+   * @param {Object} d - Hierarchy node
+   */
+  function focus(d) {
+    if (!d || isHidden(d)) return;
+    setActive(d);
+    const element = elementOf(d);
+    if (element) element.focus({ preventScroll: true });
+    announce(d);
+  }
+
+  function sibling(d, offset) {
+    if (!d.parent) return null;
+    const siblings = d.parent.children;
+    return siblings[siblings.indexOf(d) + offset] || null;
+  }
+
+  // Named listener, so a re-render replaces it along with the nodes
+  node.on('keydown.keyboard', (event, d) => {
+    switch (event.key) {
+      case 'ArrowLeft':
+        focus(d.parent);
+        break;
+      case 'ArrowRight':
+        if (!d.children) return;
+        if (isCollapsed(d)) collapse.toggle(d);
+        focus(d.children[0]);
+        break;
+      case 'ArrowUp':
+        focus(sibling(d, -1));
+        break;
+      case 'ArrowDown':
+        focus(sibling(d, 1));
+        break;
+      case 'Home':
+        focus(root);
+        break;
+      case 'Enter':
+        if (event.shiftKey) {
+          if (d.children && d.children.length) onDrillDown(d);
+        } else {
+          onSelect(d);
+          announce(d);
+        }
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+  });
+  node.on('focus.keyboard', (event, d) => {
+    if (d !== active) setActive(d);
+  });
+
+  refresh();
+  return { setActive, focus, refresh };
+}
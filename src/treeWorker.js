@@ -0,0 +1,54 @@
+// Web worker for data parsing and tree building
+// Loading data/taxonpaths.json (from the IndexedDB cache when unchanged) and building trees (normalizeRows, pathsToTree,
+// addMissingSynonyms, enrichTreeWithPaths) happen here so the page stays responsive.
+// The worker keeps the converted rows; messages can refer to them with LOADED_ROWS.
+// Messages (sent by src/treeWorkerClient.js):
+//   -> { id, type: 'loadTaxonPaths', payload: { url } }       result: converted rows
+//   -> { id, type: 'buildInitialView' }                         result: { mainTree, orphanTree }
+//   -> { id, type: 'buildTree', payload: renderMammalTree options }
+//                                                               result: { treeData, byId, parentById }
+//   <- { id, type: 'progress', stage, done, total }
+//   <- { id, type: 'result', result } or { id, type: 'error', message }
+
+import { loadTaxonPathRows, buildInitialView, LOADED_ROWS } from './taxonPaths.js';
+import { buildTreeData } from './treeBuilder.js';
+import { initSynonyms, isSynonymsReady, getSynonymInfo } from './synonyms.js';
+
+// Relative fetches in a worker resolve against this script, not the page
+const SYNONYMS_URL = new URL('../data/all_synonyms.json', import.meta.url).href;
+
+let loadedRows = [];
+
+const handlers = {
+  async loadTaxonPaths({ url }, progress) {
+    loadedRows = await loadTaxonPathRows(url, progress);
+    return loadedRows;
+  },
+
+  buildInitialView(payload, progress) {
+    progress('Building overview');
+    return buildInitialView(loadedRows);
+  },
+
+  async buildTree(options, progress) {
+    progress('Loading synonyms');
+    await initSynonyms(SYNONYMS_URL);
+    const resolve = rows => (rows === LOADED_ROWS ? loadedRows : rows);
+    return buildTreeData(
+      { ...options, rows: resolve(options.rows), allRowsForSynonyms: resolve(options.allRowsForSynonyms) },
+      { isReady: isSynonymsReady, getSynonymInfo },
+      stage => progress(stage)
+    );
+  }
+};
+
+self.onmessage = async ({ data: { id, type, payload } }) => {
+  const progress = (stage, done = 0, total = 0) => self.postMessage({ id, type: 'progress', stage, done, total });
+  try {
+    if (!handlers[type]) throw new Error(`Unknown message type: ${type}`);
+    const result = await handlers[type](payload || {}, progress);
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,137 @@
+// Main-thread side of the tree worker (src/treeWorker.js)
+// Each call posts a message and resolves with the worker's result; #loadProgress shows
+// the current step while requests are pending. Where module workers are unavailable
+// (or the worker fails to start) the same functions run on the main thread.
+// Usage:
+//   const allRows = await loadTaxonPaths('data/taxonpaths.json');
+//   const { mainTree, orphanTree } = await buildInitialView();
+//   const { treeData, byId, parentById } = await buildTree({ rows, allRowsForSynonyms, rootId, rootName });
+
+import { loadTaxonPathRows, buildInitialView as buildInitialViewOnMainThread, LOADED_ROWS } from './taxonPaths.js';
+import { buildTreeData } from './treeBuilder.js';
+import { initSynonyms, isSynonymsReady, getSynonymInfo } from './synonyms.js';
+
+let worker = null; // null: not started yet, false: unavailable
+let nextRequestId = 1;
+const pending = new Map(); // request id -> { resolve, reject, fallback }
+let loadedRows = null; // Rows returned by loadTaxonPaths (also held by the worker)
+let loadedCount = 0; // Their number at the time; rows added later (imports) are not in the worker
+
+function getWorker() {
+  if (worker === null) {
+    try {
+      worker = new Worker(new URL('./treeWorker.js', import.meta.url), { type: 'module' });
+      worker.addEventListener('message', handleMessage);
+      worker.addEventListener('error', handleWorkerFailure);
+    } catch (error) {
+      console.warn('Tree worker unavailable, building trees on the main thread:', error);
+      worker = false;
+    }
+  }
+  return worker;
+}
+
+function handleMessage({ data: { id, type, stage, done, total, result, message } }) {
+  const request = pending.get(id);
+  if (!request) return;
+  if (type === 'progress') {
+    showProgress(stage, done, total);
+    return;
+  }
+  pending.delete(id);
+  if (!pending.size) hideProgress();
+  if (type === 'result') request.resolve(result);
+  else request.reject(new Error(message));
+}
+
+// The worker script failed to load or crashed: finish pending requests on the main thread
+function handleWorkerFailure(event) {
+  console.warn('Tree worker failed, building trees on the main thread:', event.message || event);
+  if (worker) worker.terminate();
+  worker = false;
+  const requests = [...pending.values()];
+  pending.clear();
+  requests.forEach(({ resolve, reject, fallback }) => runOnMainThread(fallback).then(resolve, reject));
+}
+
+async function runOnMainThread(task) {
+  // Let the progress indicator paint before the thread is busy
+  await new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+  try {
+    return await task();
+  } finally {
+    if (!pending.size) hideProgress();
+  }
+}
+
+function request(type, payload, fallback) {
+  const target = getWorker();
+  if (!target) return runOnMainThread(fallback);
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    pending.set(id, { resolve, reject, fallback });
+    target.postMessage({ id, type, payload });
+  });
+}
+
+function showProgress(stage, done = 0, total = 0) {
+  const panel = document.getElementById('loadProgress');
+  if (!panel) return;
+  const label = document.getElementById('loadProgressLabel');
+  const bar = document.getElementById('loadProgressBar');
+  panel.hidden = false;
+  if (label) label.textContent = total ? `${stage}… ${Math.round((done / total) * 100)}%` : `${stage}…`;
+  if (bar) {
+    // No total: indeterminate bar
+    if (total) bar.value = done / total;
+    else bar.removeAttribute('value');
+  }
+}
+
+function hideProgress() {
+  const panel = document.getElementById('loadProgress');
+  if (panel) panel.hidden = true;
+}
+
+/**
+ * Load data/taxonpaths.json as path rows (cached in IndexedDB, see src/dataCache.js)
+ * @param {string} url - Location of the file, relative to the page
+ * @returns {Promise<Array>} Rows from convertTaxonPaths
+ */
+export async function loadTaxonPaths(url) {
+  const absoluteUrl = new URL(url, location.href).href;
+  showProgress('Loading taxon paths');
+  loadedRows = await request('loadTaxonPaths', { url: absoluteUrl }, () => loadTaxonPathRows(absoluteUrl, showProgress));
+  loadedCount = loadedRows.length;
+  return loadedRows;
+}
+
+/**
+ * Build the initial 4-level view from the rows of loadTaxonPaths
+ * @returns {Promise<Object>} { mainTree, orphanTree }
+ */
+export function buildInitialView() {
+  showProgress('Building overview');
+  return request('buildInitialView', {}, () => buildInitialViewOnMainThread(loadedRows || []));
+}
+
+/**
+ * Build the tree for one renderMammalTree call
+ * @param {Object} options - rows, allRowsForSynonyms, rootId, rootName, isInitialView, rootNodes
+ * @returns {Promise<Object>} { treeData, byId, parentById }
+ */
+export function buildTree(options) {
+  // The worker already has the full dataset; don't copy it with every request, unless
+  // rows were added to the array since (index.html appends imported groups to it)
+  const byReference = rows => (rows && rows === loadedRows && rows.length === loadedCount ? LOADED_ROWS : rows);
+  const payload = {
+    ...options,
+    rows: byReference(options.rows),
+    allRowsForSynonyms: byReference(options.allRowsForSynonyms)
+  };
+  showProgress('Building tree');
+  return request('buildTree', payload, async () => {
+    await initSynonyms();
+    return buildTreeData(options, { isReady: isSynonymsReady, getSynonymInfo });
+  });
+}
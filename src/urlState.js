@@ -0,0 +1,240 @@
+// URL state: mirror the current tree view in location.hash so it can be shared
+// as a link, and map drill-down navigation onto browser history entries.
+// Hash keys:
+//   group      taxagroupid of the rendered tree (absent for Major Groups)
+//   tree       'orphan' when the Major Groups orphan tree is shown
+//   root       drill-down root id from navigateToNode (with rootName)
+//   node       highlighted node id
+//   q          search query
+//   rot        rotation in degrees
+//   zoom/tx/ty d3.zoom transform (scale and translation)
+//   view       'focus' when Focus View is active
+//   layout     tree layout other than the radial default (see layouts.js)
+// Usage:
+//   initUrlState();                              // start tracking highlight / view mode
+//   updateUrlState({ rot: 30 });                 // record view state (debounced, replaces entry)
+//   recordNavigation(nav, navigationStack);      // push a history entry for a drill-down
+//   onHistoryNavigation((state, urlState) => {}); // browser back/forward
+
+import { getCurrentTree } from './currentTree.js';
+import { onViewChange, setViewMode } from './viewSwitch.js';
+
+const NAV_KEYS = ['group', 'tree', 'root', 'rootName'];
+const VIEW_KEYS = ['node', 'q', 'rot', 'zoom', 'tx', 'ty', 'view', 'layout'];
+const PERSISTENT_KEYS = ['rot', 'layout']; // Carried over to the next tree on navigation
+const NUMERIC_KEYS = new Set(['root', 'node', 'rot', 'zoom', 'tx', 'ty']);
+const UPDATE_DELAY = 150; // ms; browsers throttle rapid replaceState calls
+
+let pendingState = null; // Merged state waiting to be written
+let pendingTimer = null;
+let suspendCount = 0; // > 0 while a saved state is being restored
+
+/**
+ * Parse the view state from a URL hash
+ * @param {String} hash - Hash string (defaults to location.hash)
+ * @returns {Object} State object with only the keys present in the hash
+ */
+export function readUrlState(hash = window.location.hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const state = {};
+  params.forEach((value, key) => {
+    if (!NAV_KEYS.includes(key) && !VIEW_KEYS.includes(key)) return;
+    if (NUMERIC_KEYS.has(key)) {
+      const num = Number(value);
+      if (value !== '' && !Number.isNaN(num)) state[key] = num;
+    } else {
+      state[key] = value;
+    }
+  });
+  return state;
+}
+
+/**
+ * Build a URL (path + hash) for a state object
+ * @param {Object} state - State object as returned by readUrlState
+ * @returns {String} URL with the encoded hash, or without hash if state is empty
+ */
+export function formatUrlState(state) {
+  const params = new URLSearchParams();
+  [...NAV_KEYS, ...VIEW_KEYS].forEach(key => {
+    const value = state[key];
+    if (value === null || value === undefined || value === '') return;
+    params.set(key, typeof value === 'number' ? String(Math.round(value * 100) / 100) : String(value));
+  });
+  const encoded = params.toString();
+  const base = window.location.pathname + window.location.search;
+  return encoded ? `${base}#${encoded}` : base;
+}
+
+/**
+ * Convert a navigation state (navigationStack entry) to hash keys
+ * @param {Object} nav - { taxagroupid, isInitialView, isDrillDown, rootId, rootName, treeType }
+ * @returns {Object} Hash keys describing the navigation state
+ */
+export function navToUrlState(nav) {
+  if (!nav || nav.isInitialView || !nav.taxagroupid) {
+    return nav && nav.treeType === 'orphan' ? { tree: 'orphan' } : {};
+  }
+  const state = { group: nav.taxagroupid };
+  if (nav.isDrillDown) {
+    state.root = nav.rootId;
+    state.rootName = nav.rootName;
+  }
+  return state;
+}
+
+/**
+ * Convert hash keys back to a navigation state
+ * @param {Object} urlState - State object as returned by readUrlState
+ * @returns {Object} Navigation state in the navigationStack entry format
+ */
+export function urlStateToNav(urlState) {
+  if (urlState.root != null) {
+    return {
+      taxagroupid: urlState.group || 'MAM',
+      isInitialView: false,
+      isDrillDown: true,
+      rootId: urlState.root,
+      rootName: urlState.rootName || String(urlState.root),
+      treeType: 'main'
+    };
+  }
+  if (urlState.group) {
+    return { taxagroupid: urlState.group, isInitialView: false, isDrillDown: false, rootId: null, rootName: null, treeType: 'main' };
+  }
+  return {
+    taxagroupid: null,
+    isInitialView: true,
+    isDrillDown: false,
+    rootId: null,
+    rootName: null,
+    treeType: urlState.tree === 'orphan' ? 'orphan' : 'main'
+  };
+}
+
+/**
+ * Record part of the view state in the URL (debounced, replaces the current entry)
+ * @param {Object} partial - Keys to set; null/undefined/'' removes a key
+ */
+export function updateUrlState(partial) {
+  if (suspendCount > 0) return;
+  pendingState = { ...(pendingState || readUrlState()), ...partial };
+  clearTimeout(pendingTimer);
+  pendingTimer = setTimeout(flushUrlState, UPDATE_DELAY);
+}
+
+/**
+ * Write any pending view state immediately
+ */
+export function flushUrlState() {
+  clearTimeout(pendingTimer);
+  pendingTimer = null;
+  if (!pendingState) return;
+  const state = pendingState;
+  pendingState = null;
+  history.replaceState(history.state, '', formatUrlState(state));
+}
+
+/**
+ * Record a navigation state as a browser history entry
+ * @param {Object} nav - Navigation state the page is moving to
+ * @param {Array} navigationStack - Navigation stack after the move
+ * @param {Object} options - { replace: update the current entry instead of pushing }
+ */
+export function recordNavigation(nav, navigationStack, { replace = false } = {}) {
+  const viewState = pendingState || readUrlState();
+  flushUrlState();
+  const previousIndex = (history.state && history.state.navIndex) || 0;
+  const entry = {
+    navIndex: replace ? previousIndex : previousIndex + 1,
+    nav: { ...nav },
+    navigationStack: navigationStack.map(item => ({ ...item }))
+  };
+  // A new entry keeps only rotation and layout; the rest of the view belongs to the old tree
+  const keep = {};
+  (replace ? VIEW_KEYS : PERSISTENT_KEYS).forEach(key => {
+    if (viewState[key] !== undefined) keep[key] = viewState[key];
+  });
+  const url = formatUrlState({ ...navToUrlState(nav), ...keep });
+  if (replace) {
+    history.replaceState(entry, '', url);
+  } else {
+    history.pushState(entry, '', url);
+  }
+}
+
+/**
+ * Whether the previous browser history entry belongs to this page's navigation
+ * @returns {boolean} True if history.back() returns to an earlier tree
+ */
+export function canGoBackInHistory() {
+  return !!(history.state && history.state.navIndex > 0);
+}
+
+/**
+ * Listen for browser back/forward (and manual hash edits)
+ * @param {Function} handler - Called with (historyEntry|null, urlState)
+ */
+export function onHistoryNavigation(handler) {
+  window.addEventListener('popstate', (event) => {
+    clearTimeout(pendingTimer);
+    pendingState = null;
+    handler(event.state, readUrlState());
+  });
+}
+
+/**
+ * Run a restore without recording intermediate states in the URL
+ * @param {Function} fn - Async function performing the restore
+ */
+export async function withUrlUpdatesSuspended(fn) {
+  suspendCount++;
+  try {
+    await fn();
+  } finally {
+    suspendCount--;
+  }
+}
+
+/**
+ * Re-apply search, highlight, Focus View, rotation and zoom to the rendered tree
+ * @param {Object} urlState - State object as returned by readUrlState
+ */
+export async function restoreViewState(urlState) {
+  let tree = getCurrentTree();
+  if (!tree) return;
+
+  let matches = [];
+  if (urlState.q) {
+    matches = tree.search(urlState.q);
+  }
+  // A multi-match search highlights its first hit by itself; only restore explicit selections
+  const autoHighlighted = matches.length > 1 && matches[0].data.id === urlState.node;
+  if (urlState.node != null && !autoHighlighted) {
+    tree.focusById(urlState.node);
+  }
+  if (urlState.view === 'focus') {
+    await setViewMode('focus');
+    tree = getCurrentTree();
+  }
+  if (urlState.rot != null) {
+    tree.setRotation(urlState.rot);
+  }
+  if (urlState.zoom != null) {
+    tree.setTransform({ k: urlState.zoom, x: urlState.tx || 0, y: urlState.ty || 0 });
+  }
+}
+
+/**
+ * Start mirroring highlight and view mode changes into the URL
+ */
+export function initUrlState() {
+  onViewChange(change => {
+    if ('highlightedNode' in change) {
+      updateUrlState({ node: change.highlightedNode ? change.highlightedNode.data.id : null });
+    }
+    if ('focusView' in change) {
+      updateUrlState({ view: change.focusView ? 'focus' : null });
+    }
+  });
+}
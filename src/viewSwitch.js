@@ -9,6 +9,7 @@ let originalRootInfo = null; // Store original root info
 let renderFunction = null; // Store the render function reference
 let allRowsForSynonyms = null; // Store all rows for synonyms
 let isShowingFocusViewWarning = false; // Flag to prevent repeated warnings
+const viewChangeListeners = new Set(); // Callbacks notified on highlight / view mode changes
 
 /**
  * Initialize view switch functionality
@@ -69,6 +70,7 @@ export function initViewSwitch(renderFn, rows, rootInfo, taxagroupid, allRows) {
 export function setHighlightedPath(node) {
   if (!node) {
     currentHighlightedPath = null;
+    notifyViewChange({ highlightedNode: null });
     return;
   }
   
@@ -90,6 +92,7 @@ export function setHighlightedPath(node) {
     pathIds: currentHighlightedPath.pathIds,
     isFocusView
   });
+  notifyViewChange({ highlightedNode: node });
   
   // If in focus view, update the view
   if (isFocusView) {
@@ -112,6 +115,7 @@ export function setMatchIds(matchIds) {
     count: currentMatchIds.size,
     ids: Array.from(currentMatchIds).slice(0, 10)
   });
+  notifyViewChange({ matchIds: currentMatchIds });
 }
 
 /**
@@ -120,6 +124,7 @@ export function setMatchIds(matchIds) {
 export function clearHighlightedPath() {
   currentHighlightedPath = null;
   currentMatchIds.clear();
+  notifyViewChange({ highlightedNode: null, matchIds: currentMatchIds });
   if (isFocusView) {
     switchToWholeView();
   }
@@ -165,6 +170,7 @@ async function switchToFocusView() {
   isShowingFocusViewWarning = false;
   hideFocusViewWarning();
   updateButtonState();
+  notifyViewChange({ focusView: true });
   
   // Filter rows: include all rows that contain any of the matched node IDs
   // This is much simpler and more reliable than trying to match paths
@@ -224,6 +230,7 @@ async function switchToWholeView() {
   
   isFocusView = false;
   updateButtonState();
+  notifyViewChange({ focusView: false });
   
   // Re-render with original data
   await renderFunction(originalRows, originalRootInfo.rootId, originalRootInfo.rootName, allRowsForSynonyms);
@@ -260,6 +267,45 @@ export function isInFocusView() {
   return isFocusView;
 }
 
+/**
+ * Switch between Whole View and Focus View programmatically
+ * @param {String} mode - 'whole' or 'focus'
+ */
+export async function setViewMode(mode) {
+  if (mode === 'focus' && !isFocusView) {
+    await switchToFocusView();
+  } else if (mode === 'whole' && isFocusView) {
+    await switchToWholeView();
+  }
+}
+
+/**
+ * Render the current view again (e.g. after the layout changed)
+ * Focus View is rebuilt from the current selection, Whole View from the original rows.
+ */
+export async function rerenderCurrentView() {
+  if (!originalRows || !renderFunction) return;
+  if (isFocusView) {
+    await switchToFocusView();
+    return;
+  }
+  await renderFunction(originalRows, originalRootInfo.rootId, originalRootInfo.rootName, allRowsForSynonyms);
+}
+
+/**
+ * Subscribe to highlight and view mode changes
+ * @param {Function} listener - Called with { highlightedNode }, { matchIds } (search results) or { focusView }
+ * @returns {Function} Unsubscribe function
+ */
+export function onViewChange(listener) {
+  viewChangeListeners.add(listener);
+  return () => viewChangeListeners.delete(listener);
+}
+
+function notifyViewChange(change) {
+  viewChangeListeners.forEach(listener => listener(change));
+}
+
 /**
  * Reset view state (called when tree is reloaded)
  */
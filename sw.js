@@ -0,0 +1,105 @@
+// Service worker: lets the visualizer run offline once it has been loaded
+// App files (HTML, CSS, modules, d3 and the web font from their CDNs) are answered from
+// the cache and refreshed in the background (stale-while-revalidate), so a new version
+// is picked up on the next load. The large data files pass through untouched:
+// src/dataCache.js keeps their parsed form in IndexedDB and checks them for updates.
+// Registered from index.html.
+
+const CACHE_NAME = 'taxonomy-visualizer-v1';
+const PRECACHE = [
+  './',
+  'index.html',
+  'index.css',
+  'mammal_path_combined.js',
+  // Every module the page and the tree worker import, so a first offline load works too
+  'src/autocomplete.js',
+  'src/canvasRenderer.js',
+  'src/collapse.js',
+  'src/currentTree.js',
+  'src/data.js',
+  'src/dataCache.js',
+  'src/diff.js',
+  'src/download.js',
+  'src/encodings.js',
+  'src/exportImage.js',
+  'src/exportTree.js',
+  'src/fuzzyMatch.js',
+  'src/globalSearch.js',
+  'src/groupWedges.js',
+  'src/grouping.js',
+  'src/highlight.js',
+  'src/html.js',
+  'src/importData.js',
+  'src/labelCulling.js',
+  'src/layouts.js',
+  'src/outline.js',
+  'src/popup.js',
+  'src/rankGuides.js',
+  'src/ranks.js',
+  'src/search.js',
+  'src/searchFocus.js',
+  'src/searchHistory.js',
+  'src/searchIndex.js',
+  'src/searchQuery.js',
+  'src/synonymFilter.js',
+  'src/synonymNetwork.js',
+  'src/synonymReport.js',
+  'src/synonyms.js',
+  'src/taxon-group-select.js',
+  'src/taxonPaths.js',
+  'src/treeBuilder.js',
+  'src/treeKeyboard.js',
+  'src/treeWorker.js',
+  'src/treeWorkerClient.js',
+  'src/urlState.js',
+  'src/viewSwitch.js',
+  'data/taxagroup_names.json',
+  'https://cdn.jsdelivr.net/npm/d3@7'
+];
+// Cached as parsed data in IndexedDB instead (see src/dataCache.js)
+const DATA_FILES = ['data/taxonpaths.json', 'data/all_synonyms.json'];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      // One unreachable file (e.g. the CDN) should not prevent installation
+      .then(cache => Promise.all(PRECACHE.map(url => cache.add(url).catch(() => {}))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+function isDataFile(url) {
+  return url.origin === self.location.origin && DATA_FILES.some(file => url.pathname.endsWith(`/${file}`));
+}
+
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+  const refresh = fetch(request)
+    .then(response => {
+      // Opaque responses come from the no-cors CDN requests (d3, fonts)
+      if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+      return response;
+    });
+  if (cached) {
+    refresh.catch(() => {}); // Offline: the cached copy is all there is
+    return cached;
+  }
+  return refresh;
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (!/^https?:$/.test(url.protocol) || isDataFile(url)) return;
+  event.respondWith(staleWhileRevalidate(request));
+});